@@ -20,6 +20,10 @@ import reportRoutes from './routes/report.routes.js';
 import uploadRoutes from './routes/upload.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import searchRoutes from './routes/search.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
+import returnRoutes from './routes/return.routes.js';
+import disputeRoutes from './routes/dispute.routes.js';
+import meetupRoutes from './routes/meetup.routes.js';
 
 const app = express();
 
@@ -50,8 +54,12 @@ if (config.nodeEnv === 'production') {
   app.use('/api/', limiter);
 }
 
-// body parser middleware
-app.use(express.json());
+// body parser middleware (raw body is kept for webhook signature checks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // cookie parser middleware
@@ -84,6 +92,10 @@ app.use('/api/reports', reportRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/meetups', meetupRoutes);
 
 // 404 handler for undefined routes
 app.use((req, res, next) => {
@@ -58,6 +58,46 @@ const config = {
 
   // order settings
   pendingOrderTimeoutHours: parseInt(process.env.PENDING_ORDER_TIMEOUT_HOURS) || 48,
+  returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 7,
+  // days after completion a buyer or seller can still open a dispute
+  disputeWindowDays: parseInt(process.env.DISPUTE_WINDOW_DAYS) || 7,
+
+  // listing settings
+  listings: {
+    // lifetime of a listing when the seller doesn't pick an expiry date
+    defaultDurationDays: parseInt(process.env.LISTING_DURATION_DAYS) || 60,
+    expiryReminderHoursBefore: parseInt(process.env.LISTING_EXPIRY_REMINDER_HOURS_BEFORE) || 24,
+  },
+
+  // meetup scheduling settings
+  meetup: {
+    reminderHoursBefore: parseInt(process.env.MEETUP_REMINDER_HOURS_BEFORE) || 2,
+    // buyer confirmation deadline, counted from the end of the accepted slot
+    confirmationHoursAfter: parseInt(process.env.MEETUP_CONFIRMATION_HOURS_AFTER) || 48,
+    maxProposedSlots: 5,
+    // failed handover code checks allowed before the order is locked
+    handoverMaxAttempts: parseInt(process.env.HANDOVER_MAX_ATTEMPTS) || 5,
+    handoverLockMinutes: parseInt(process.env.HANDOVER_LOCK_MINUTES) || 15,
+    // handover code checks a seller can make across all their orders per window
+    handoverRateLimitWindowMinutes: parseInt(process.env.HANDOVER_RATE_LIMIT_WINDOW_MINUTES) || 15,
+    handoverRateLimitMax: parseInt(process.env.HANDOVER_RATE_LIMIT_MAX) || 20,
+  },
+
+  // payment gateway settings
+  payment: {
+    gateway: process.env.PAYMENT_GATEWAY || 'mock',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'your-payment-webhook-secret',
+    intentExpiryMinutes: parseInt(process.env.PAYMENT_INTENT_EXPIRY_MINUTES) || 30,
+    // lets buyers complete mock payments through the api (local testing only)
+    mockCompletionEnabled: process.env.PAYMENT_MOCK_COMPLETION === 'true',
+  },
+
+  // courier tracking settings
+  courier: {
+    adapter: process.env.COURIER_ADAPTER || 'file',
+    // json file read by the file courier adapter: { "<trackingNumber>": [events] }
+    fakeDataFile: process.env.COURIER_FAKE_DATA_FILE || 'courier-tracking.json',
+  },
 
   // file upload limits
   upload: {
@@ -2,12 +2,18 @@ import asyncHandler from '../utils/asyncHandler.js';
 import * as userService from '../services/user.service.js';
 import * as productService from '../services/product.service.js';
 import * as orderService from '../services/order.service.js';
+import * as paymentService from '../services/payment.service.js';
+import * as disputeService from '../services/dispute.service.js';
+import * as meetupService from '../services/meetup.service.js';
+import * as categoryService from '../services/category.service.js';
 import Report from '../models/Report.model.js';
 import User from '../models/User.model.js';
 import Product from '../models/Product.model.js';
 import Order from '../models/Order.model.js';
 import { successResponse } from '../utils/response.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
 import AppError from '../utils/AppError.js';
+import config from '../config/config.js';
 
 // get all users
 
@@ -16,8 +22,9 @@ export const getAllUsers = asyncHandler(async (req, res) => {
     role: req.query.role,
     isActive: req.query.isActive,
     isSuspended: req.query.isSuspended,
-    page: parseInt(req.query.page) || 1,
-    limit: parseInt(req.query.limit) || 20,
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
   };
 
   const result = await userService.getAllUsers(filters);
@@ -79,8 +86,9 @@ export const getAllProductsAdmin = asyncHandler(async (req, res) => {
   const filters = {
     category: req.query.category,
     status: req.query.status,
-    page: parseInt(req.query.page) || 1,
-    limit: parseInt(req.query.limit) || 100,
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit || config.pagination.maxPageSize,
   };
 
   if (!req.query.status) {
@@ -112,49 +120,212 @@ export const deleteProductAdmin = asyncHandler(async (req, res) => {
 // get all orders
 
 export const getAllOrders = asyncHandler(async (req, res) => {
-  const { status, page, limit } = req.query;
+  const { status, cursor, page, limit } = req.query;
 
   const query = {};
   if (status) query.status = status;
 
-  const skip = ((parseInt(page) || 1) - 1) * (parseInt(limit) || 20);
+  const paging = getPaginationOptions({ cursor, page, limit });
 
-  const orders = await Order.find(query)
+  const docs = await Order.find(applyCursor(query, paging))
     .populate('buyer', 'name email profilePicture')
     .populate('items.seller', 'name email profilePicture')
     .populate('items.product', 'name images')
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit) || 20)
-    .skip(skip);
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
 
-  const total = await Order.countDocuments(query);
+  const { items: orders, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Order.countDocuments(query),
+    totalKey: 'totalOrders',
+  });
 
   successResponse(res, {
     orders,
-    pagination: {
-      currentPage: parseInt(page) || 1,
-      totalPages: Math.ceil(total / (parseInt(limit) || 20)),
-      totalOrders: total,
-    },
+    pagination,
   }, 'Orders retrieved successfully', 200);
 });
 
+// get orders with disputed payment proofs
+
+export const getDisputedPayments = asyncHandler(async (req, res) => {
+  const result = await paymentService.getDisputedPayments({
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
+  });
+
+  successResponse(res, result, 'Disputed payments retrieved successfully', 200);
+});
+
+// get all order disputes
+
+export const getAllDisputes = asyncHandler(async (req, res) => {
+  const result = await disputeService.getAllDisputes({
+    status: req.query.status,
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
+  });
+
+  successResponse(res, result, 'Disputes retrieved successfully', 200);
+});
+
+// get single dispute with order history and conversation
+
+export const getDispute = asyncHandler(async (req, res) => {
+  const { disputeId } = req.params;
+
+  const dispute = await disputeService.getDispute(disputeId, req.user);
+
+  successResponse(res, dispute, 'Dispute retrieved successfully', 200);
+});
+
+// mark dispute as under review
+
+export const reviewDispute = asyncHandler(async (req, res) => {
+  const { disputeId } = req.params;
+
+  const dispute = await disputeService.reviewDispute(disputeId);
+
+  successResponse(res, dispute, 'Dispute marked as under review', 200);
+});
+
+// rule on dispute for buyer or seller
+
+export const resolveDispute = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const { disputeId } = req.params;
+  const { ruling, resolution, balanceReceived } = req.body;
+
+  const dispute = await disputeService.resolveDispute(disputeId, adminId, ruling, resolution, {
+    balanceReceived,
+  });
+
+  successResponse(res, dispute, 'Dispute resolved successfully', 200);
+});
+
+// get all meetup locations (including retired ones)
+
+export const getMeetupLocations = asyncHandler(async (req, res) => {
+  const locations = await meetupService.getMeetupLocations(true);
+
+  successResponse(res, locations, 'Meetup locations retrieved successfully', 200);
+});
+
+// create meetup location
+
+export const createMeetupLocation = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const { name, building, description } = req.body;
+
+  const location = await meetupService.createMeetupLocation(adminId, {
+    name,
+    building,
+    description,
+  });
+
+  successResponse(res, location, 'Meetup location created successfully', 201);
+});
+
+// update meetup location
+
+export const updateMeetupLocation = asyncHandler(async (req, res) => {
+  const { locationId } = req.params;
+
+  const location = await meetupService.updateMeetupLocation(locationId, req.body);
+
+  successResponse(res, location, 'Meetup location updated successfully', 200);
+});
+
+// deactivate meetup location
+
+export const deactivateMeetupLocation = asyncHandler(async (req, res) => {
+  const { locationId } = req.params;
+
+  const location = await meetupService.deactivateMeetupLocation(locationId);
+
+  successResponse(res, location, 'Meetup location deactivated successfully', 200);
+});
+
+// get category tree (including inactive categories)
+
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getCategoryTree(true);
+
+  successResponse(res, categories, 'Categories retrieved successfully', 200);
+});
+
+// create category
+
+export const createCategory = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const { name, slug, parent, icon, displayOrder, attributes } = req.body;
+
+  const category = await categoryService.createCategory(adminId, {
+    name,
+    slug,
+    parent,
+    icon,
+    displayOrder,
+    attributes,
+  });
+
+  successResponse(res, category, 'Category created successfully', 201);
+});
+
+// update category (renaming moves its products)
+
+export const updateCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+
+  const result = await categoryService.updateCategory(categoryId, req.body);
+
+  successResponse(res, result, 'Category updated successfully', 200);
+});
+
+// merge category into another
+
+export const mergeCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+  const { targetId } = req.body;
+
+  const result = await categoryService.mergeCategory(categoryId, targetId);
+
+  successResponse(res, result, 'Category merged successfully', 200);
+});
+
+// delete empty category
+
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const { categoryId } = req.params;
+
+  const category = await categoryService.deleteCategory(categoryId);
+
+  successResponse(res, category, 'Category deleted successfully', 200);
+});
+
 // get all reports
 
 export const getAllReports = asyncHandler(async (req, res) => {
-  const { status, page, limit } = req.query;
+  const { status, cursor, page, limit } = req.query;
 
   const query = {};
   if (status) query.status = status;
 
-  const skip = ((parseInt(page) || 1) - 1) * (parseInt(limit) || 20);
+  const paging = getPaginationOptions({ cursor, page, limit });
 
-  const reports = await Report.find(query)
+  const docs = await Report.find(applyCursor(query, paging))
     .populate('reporter', 'name email')
     .populate('reviewedBy', 'name')
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit) || 20)
-    .skip(skip);
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
+
+  const { items: reports, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Report.countDocuments(query),
+    totalKey: 'totalReports',
+  });
 
   // populate reported entities based on type
   const populatedReports = await Promise.all(
@@ -184,15 +355,9 @@ export const getAllReports = asyncHandler(async (req, res) => {
     })
   );
 
-  const total = await Report.countDocuments(query);
-
   successResponse(res, {
     reports: populatedReports,
-    pagination: {
-      currentPage: parseInt(page) || 1,
-      totalPages: Math.ceil(total / (parseInt(limit) || 20)),
-      totalReports: total,
-    },
+    pagination,
   }, 'Reports retrieved successfully', 200);
 });
 
@@ -299,6 +464,20 @@ export default {
   getAllProductsAdmin,
   deleteProductAdmin,
   getAllOrders,
+  getDisputedPayments,
+  getAllDisputes,
+  getDispute,
+  reviewDispute,
+  resolveDispute,
+  getMeetupLocations,
+  createMeetupLocation,
+  updateMeetupLocation,
+  deactivateMeetupLocation,
+  getCategories,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  deleteCategory,
   getAllReports,
   getReport,
   updateReportStatus,
@@ -16,9 +16,9 @@ export const getCart = asyncHandler(async (req, res) => {
 
 export const addToCart = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { productId, quantity } = req.body;
+  const { productId, quantity, variantId } = req.body;
 
-  const cart = await cartService.addToCart(userId, productId, quantity);
+  const cart = await cartService.addToCart(userId, productId, quantity, variantId);
 
   successResponse(res, cart, 'Item added to cart successfully', 200);
 });
@@ -28,9 +28,9 @@ export const addToCart = asyncHandler(async (req, res) => {
 export const updateCartItem = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { productId } = req.params;
-  const { quantity } = req.body;
+  const { quantity, variantId } = req.body;
 
-  const cart = await cartService.updateCartItem(userId, productId, quantity);
+  const cart = await cartService.updateCartItem(userId, productId, quantity, variantId);
 
   successResponse(res, cart, 'Cart item updated successfully', 200);
 });
@@ -40,8 +40,9 @@ export const updateCartItem = asyncHandler(async (req, res) => {
 export const removeFromCart = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { productId } = req.params;
+  const { variantId } = req.query;
 
-  const cart = await cartService.removeFromCart(userId, productId);
+  const cart = await cartService.removeFromCart(userId, productId, variantId);
 
   successResponse(res, cart, 'Item removed from cart successfully', 200);
 });
@@ -0,0 +1,49 @@
+import asyncHandler from '../utils/asyncHandler.js';
+import * as disputeService from '../services/dispute.service.js';
+import { successResponse } from '../utils/response.js';
+
+// open dispute on an order (buyer or seller)
+
+export const openDispute = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId, reason, description, evidence } = req.body;
+
+  const dispute = await disputeService.openDispute(orderId, userId, {
+    reason,
+    description,
+    evidence,
+  });
+
+  successResponse(res, dispute, 'Dispute opened successfully', 201);
+});
+
+// get user's disputes
+
+export const getMyDisputes = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { status, page, limit } = req.query;
+
+  const result = await disputeService.getUserDisputes(userId, {
+    status,
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 20,
+  });
+
+  successResponse(res, result, 'Disputes retrieved successfully', 200);
+});
+
+// get single dispute
+
+export const getDispute = asyncHandler(async (req, res) => {
+  const { disputeId } = req.params;
+
+  const dispute = await disputeService.getDispute(disputeId, req.user);
+
+  successResponse(res, dispute, 'Dispute retrieved successfully', 200);
+});
+
+export default {
+  openDispute,
+  getMyDisputes,
+  getDispute,
+};
@@ -0,0 +1,98 @@
+import asyncHandler from '../utils/asyncHandler.js';
+import * as meetupService from '../services/meetup.service.js';
+import { successResponse } from '../utils/response.js';
+
+// get active meetup locations
+
+export const getMeetupLocations = asyncHandler(async (req, res) => {
+  const locations = await meetupService.getMeetupLocations();
+
+  successResponse(res, locations, 'Meetup locations retrieved successfully', 200);
+});
+
+// get meetup schedule for an order
+
+export const getMeetupSchedule = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const schedule = await meetupService.getMeetupSchedule(orderId, userId);
+
+  successResponse(res, schedule, 'Meetup schedule retrieved successfully', 200);
+});
+
+// propose meetup slots (seller only)
+
+export const proposeMeetupSlots = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { locationId, slots } = req.body;
+
+  const order = await meetupService.proposeMeetupSlots(orderId, userId, {
+    locationId,
+    slots,
+  });
+
+  successResponse(res, order, 'Meetup slots proposed successfully', 200);
+});
+
+// accept a proposed meetup slot (buyer only)
+
+export const acceptMeetupSlot = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { slotId } = req.body;
+
+  const order = await meetupService.acceptMeetupSlot(orderId, userId, slotId);
+
+  successResponse(res, order, 'Meetup slot accepted successfully', 200);
+});
+
+// reschedule meetup (buyer or seller)
+
+export const rescheduleMeetup = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { reason, locationId, slots } = req.body;
+
+  const order = await meetupService.rescheduleMeetup(orderId, userId, {
+    reason,
+    locationId,
+    slots,
+  });
+
+  successResponse(res, order, 'Meetup rescheduled successfully', 200);
+});
+
+// get handover code for the meetup (buyer only)
+
+export const getHandoverCode = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const handover = await meetupService.getHandoverCode(orderId, userId);
+
+  successResponse(res, handover, 'Handover code retrieved successfully', 200);
+});
+
+// verify handover code and complete the order (seller only)
+
+export const verifyHandoverCode = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { code } = req.body;
+
+  const order = await meetupService.verifyHandoverCode(orderId, userId, code);
+
+  successResponse(res, order, 'Handover verified and order completed', 200);
+});
+
+export default {
+  getMeetupLocations,
+  getMeetupSchedule,
+  proposeMeetupSlots,
+  acceptMeetupSlot,
+  rescheduleMeetup,
+  getHandoverCode,
+  verifyHandoverCode,
+};
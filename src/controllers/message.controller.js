@@ -2,6 +2,7 @@ import asyncHandler from '../utils/asyncHandler.js';
 import Message from '../models/Message.model.js';
 import User from '../models/User.model.js';
 import { successResponse } from '../utils/response.js';
+import { getPaginationOptions, paginateResults } from '../utils/pagination.js';
 import { sendNewMessageEmail } from '../utils/emailService.js';
 import { onlineUsers, activeConversations } from '../config/socket.js';
 
@@ -20,14 +21,24 @@ export const getConversations = asyncHandler(async (req, res) => {
 export const getConversation = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { otherUserId } = req.params;
-  const { page, limit } = req.query;
+  const { cursor, page, limit } = req.query;
 
-  const messages = await Message.getConversation(userId, otherUserId, {
-    limit: parseInt(limit) || 50,
-    skip: ((parseInt(page) || 1) - 1) * (parseInt(limit) || 50),
+  const paging = getPaginationOptions({ cursor, page, limit, defaultLimit: 50 });
+
+  const docs = await Message.getConversation(userId, otherUserId, {
+    limit: paging.limit + 1,
+    skip: paging.skip,
+    before: paging.cursor && { createdAt: paging.cursor.value, _id: paging.cursor.id },
   });
 
-  successResponse(res, messages, 'Conversation retrieved successfully', 200);
+  const { items: messages, pagination } = await paginateResults(docs, paging);
+
+  // page requests keep the original bare-array response
+  if (paging.page !== null) {
+    return successResponse(res, messages, 'Conversation retrieved successfully', 200);
+  }
+
+  successResponse(res, { messages, pagination }, 'Conversation retrieved successfully', 200);
 });
 
 // send new message
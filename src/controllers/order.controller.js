@@ -1,5 +1,8 @@
 import asyncHandler from '../utils/asyncHandler.js';
 import * as orderService from '../services/order.service.js';
+import * as receiptService from '../services/receipt.service.js';
+import * as salesExportService from '../services/salesExport.service.js';
+import * as sellerAnalyticsService from '../services/sellerAnalytics.service.js';
 import { successResponse } from '../utils/response.js';
 
 // create order from cart
@@ -13,38 +16,44 @@ export const createOrder = asyncHandler(async (req, res) => {
   successResponse(res, order, 'Order created successfully', 201);
 });
 
+// checkout cart split into one order per seller
+
+export const checkout = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const checkoutData = req.body;
+
+  const result = await orderService.checkout(userId, checkoutData);
+
+  successResponse(res, result, 'Checkout completed successfully', 201);
+});
+
+// get combined view of a checkout's orders
+
+export const getCheckout = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { checkoutId } = req.params;
+
+  const result = await orderService.getCheckout(checkoutId, userId);
+
+  successResponse(res, result, 'Checkout retrieved successfully', 200);
+});
+
 // get user's orders (buyer + seller)
 
 export const getMyOrders = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { status, page, limit, type } = req.query;
+  const { status, cursor, page, limit, type } = req.query;
 
   let result;
 
   if (type === 'purchases') {
-    result = await orderService.getUserOrders(userId, {
-      status,
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-    });
+    result = await orderService.getUserOrders(userId, { status, cursor, page, limit });
   } else if (type === 'sales') {
-    result = await orderService.getSellerOrders(userId, {
-      status,
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-    });
+    result = await orderService.getSellerOrders(userId, { status, cursor, page, limit });
   } else {
-    // get both
-    const purchases = await orderService.getUserOrders(userId, {
-      status,
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-    });
-    const sales = await orderService.getSellerOrders(userId, {
-      status,
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 20,
-    });
+    // get both (a cursor belongs to one list, so continue with ?type= and its cursor)
+    const purchases = await orderService.getUserOrders(userId, { status, page, limit });
+    const sales = await orderService.getSellerOrders(userId, { status, page, limit });
 
     result = { purchases, sales };
   }
@@ -63,18 +72,154 @@ export const getOrder = asyncHandler(async (req, res) => {
   successResponse(res, order, 'Order retrieved successfully', 200);
 });
 
+// get order by order number
+
+export const getOrderByNumber = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderNumber } = req.params;
+
+  const order = await orderService.getOrderByNumber(orderNumber, userId);
+
+  successResponse(res, order, 'Order retrieved successfully', 200);
+});
+
 // update order status (seller only)
 
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { orderId } = req.params;
-  const { status, note } = req.body;
+  const { status, note, courier, trackingNumber } = req.body;
 
-  const order = await orderService.updateOrderStatus(orderId, userId, status, note);
+  const order = await orderService.updateOrderStatus(orderId, userId, status, note, {
+    courier,
+    trackingNumber,
+  });
 
   successResponse(res, order, 'Order status updated successfully', 200);
 });
 
+// post tracking update (seller only)
+
+export const addTrackingUpdate = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { status, description, location, occurredAt } = req.body;
+
+  const shipment = await orderService.addTrackingUpdate(orderId, userId, {
+    status,
+    description,
+    location,
+    occurredAt,
+  });
+
+  successResponse(res, shipment, 'Tracking update added successfully', 201);
+});
+
+// refresh tracking from the courier (buyer or seller)
+
+export const refreshTracking = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const shipment = await orderService.refreshTracking(orderId, userId);
+
+  successResponse(res, shipment, 'Tracking refreshed successfully', 200);
+});
+
+// reduce or remove line items before processing (seller only)
+
+export const adjustOrderItems = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { items, reason } = req.body;
+
+  const order = await orderService.adjustOrderItems(orderId, userId, { items, reason });
+
+  successResponse(res, order, 'Order items updated. Waiting for buyer approval', 200);
+});
+
+// accept or reject item changes (buyer only)
+
+export const respondToItemAdjustment = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { decision } = req.body;
+
+  const order = await orderService.respondToItemAdjustment(orderId, userId, decision);
+
+  const message = decision === 'accept'
+    ? 'Order changes accepted'
+    : 'Order changes rejected and order cancelled';
+
+  successResponse(res, order, message, 200);
+});
+
+// add a past order's items back to the cart (buyer only)
+
+export const buyAgain = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const result = await orderService.buyAgain(orderId, userId);
+
+  const message = result.unavailable.length === 0
+    ? 'All items added to cart'
+    : result.added.length === 0
+      ? 'None of the items could be added to cart'
+      : 'Some items could not be added to cart';
+
+  successResponse(res, result, message, 200);
+});
+
+// download order receipt as pdf or html (buyer or seller)
+
+export const getOrderReceipt = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { format = 'pdf' } = req.query;
+
+  const receipt = await receiptService.getOrderReceipt(orderId, userId, format);
+
+  res.set('Content-Type', receipt.contentType);
+  res.set(
+    'Content-Disposition',
+    `${format === 'html' ? 'inline' : 'attachment'}; filename="${receipt.filename}"`
+  );
+  res.status(200).send(receipt.body);
+});
+
+// download all of the seller's sales as csv or xlsx (streamed)
+
+export const exportSales = asyncHandler(async (req, res) => {
+  const sellerId = req.user.id;
+  const { format = 'csv', from, to } = req.query;
+
+  const filename = `sales-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const contentType = format === 'xlsx'
+    ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    : 'text/csv; charset=utf-8';
+
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'xlsx') {
+      await salesExportService.streamSalesXlsx(sellerId, { from, to }, res);
+    } else {
+      await salesExportService.streamSalesCsv(sellerId, { from, to }, res);
+    }
+  } catch (error) {
+    // once rows have gone out the error handler can't send json anymore
+    if (res.headersSent) {
+      console.error('sales export failed:', error.message);
+      res.destroy(error);
+      return;
+    }
+    throw error;
+  }
+});
+
 // cancel order (buyer or seller)
 
 export const cancelOrder = asyncHandler(async (req, res) => {
@@ -91,13 +236,9 @@ export const cancelOrder = asyncHandler(async (req, res) => {
 
 export const getMyPurchases = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { status, page, limit } = req.query;
+  const { status, cursor, page, limit } = req.query;
 
-  const result = await orderService.getUserOrders(userId, {
-    status,
-    page: parseInt(page) || 1,
-    limit: parseInt(limit) || 20,
-  });
+  const result = await orderService.getUserOrders(userId, { status, cursor, page, limit });
 
   successResponse(res, result, 'Purchases retrieved successfully', 200);
 });
@@ -106,13 +247,9 @@ export const getMyPurchases = asyncHandler(async (req, res) => {
 
 export const getMySales = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { status, page, limit } = req.query;
+  const { status, cursor, page, limit } = req.query;
 
-  const result = await orderService.getSellerOrders(userId, {
-    status,
-    page: parseInt(page) || 1,
-    limit: parseInt(limit) || 20,
-  });
+  const result = await orderService.getSellerOrders(userId, { status, cursor, page, limit });
 
   successResponse(res, result, 'Sales retrieved successfully', 200);
 });
@@ -127,6 +264,21 @@ export const getOrderStats = asyncHandler(async (req, res) => {
   successResponse(res, stats, 'Order statistics retrieved successfully', 200);
 });
 
+// get seller revenue analytics
+
+export const getSellerAnalytics = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { interval, from, to } = req.query;
+
+  const analytics = await sellerAnalyticsService.getSellerAnalytics(userId, {
+    interval,
+    from,
+    to,
+  });
+
+  successResponse(res, analytics, 'Sales analytics retrieved successfully', 200);
+});
+
 // confirm order by buyer
 
 export const confirmOrderByBuyer = asyncHandler(async (req, res) => {
@@ -140,12 +292,23 @@ export const confirmOrderByBuyer = asyncHandler(async (req, res) => {
 
 export default {
   createOrder,
+  checkout,
+  getCheckout,
   getMyOrders,
   getOrder,
+  getOrderByNumber,
   updateOrderStatus,
+  addTrackingUpdate,
+  refreshTracking,
+  adjustOrderItems,
+  respondToItemAdjustment,
+  buyAgain,
+  getOrderReceipt,
+  exportSales,
   cancelOrder,
   getMyPurchases,
   getMySales,
   getOrderStats,
+  getSellerAnalytics,
   confirmOrderByBuyer,
 };
\ No newline at end of file
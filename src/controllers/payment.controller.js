@@ -0,0 +1,101 @@
+import asyncHandler from '../utils/asyncHandler.js';
+import * as paymentService from '../services/payment.service.js';
+import { successResponse } from '../utils/response.js';
+import AppError from '../utils/AppError.js';
+
+// create payment intent for an order (buyer only)
+
+export const createPaymentIntent = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const intent = await paymentService.createPaymentIntent(orderId, userId);
+
+  successResponse(res, intent, 'Payment intent created successfully', 201);
+});
+
+// get payment status for an order
+
+export const getOrderPayment = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+
+  const payment = await paymentService.getOrderPayment(orderId, userId);
+
+  successResponse(res, payment, 'Payment retrieved successfully', 200);
+});
+
+// receive signed gateway webhook
+
+export const handleWebhook = asyncHandler(async (req, res) => {
+  const { gateway } = req.params;
+  const signature = req.headers['x-webhook-signature'];
+
+  const result = await paymentService.handleWebhook(gateway, req.rawBody, signature, req.body);
+
+  successResponse(res, result, 'Webhook received', 200);
+});
+
+// complete a mock gateway payment (buyer only, local testing)
+
+export const completeMockPayment = asyncHandler(async (req, res) => {
+  const { gatewayReference } = req.params;
+  const { outcome } = req.body;
+
+  const result = await paymentService.simulateMockPayment(gatewayReference, req.user.id, outcome);
+
+  successResponse(res, result, 'Mock payment processed', 200);
+});
+
+// submit payment proof (buyer only)
+
+export const submitPaymentProof = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Receipt image is required', 400);
+  }
+
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { referenceNumber, amount } = req.body;
+
+  const order = await paymentService.submitPaymentProof(orderId, userId, req.file.buffer, {
+    referenceNumber,
+    amount,
+  });
+
+  successResponse(res, order, 'Payment proof submitted successfully', 200);
+});
+
+// confirm or reject payment proof (seller only)
+
+export const reviewPaymentProof = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { decision, reason } = req.body;
+
+  const order = await paymentService.reviewPaymentProof(orderId, userId, decision, reason);
+
+  successResponse(res, order, 'Payment proof reviewed successfully', 200);
+});
+
+// dispute payment proof rejection (buyer only)
+
+export const disputePaymentProof = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId } = req.params;
+  const { reason } = req.body;
+
+  const order = await paymentService.disputePaymentProof(orderId, userId, reason);
+
+  successResponse(res, order, 'Payment proof disputed successfully', 200);
+});
+
+export default {
+  createPaymentIntent,
+  getOrderPayment,
+  handleWebhook,
+  completeMockPayment,
+  submitPaymentProof,
+  reviewPaymentProof,
+  disputePaymentProof,
+};
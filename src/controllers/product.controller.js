@@ -1,7 +1,19 @@
 import asyncHandler from '../utils/asyncHandler.js';
 import * as productService from '../services/product.service.js';
+import * as preOrderService from '../services/preOrder.service.js';
+import * as categoryService from '../services/category.service.js';
 import { successResponse } from '../utils/response.js';
 
+// collect attribute filters from attr.<key> query params
+// (e.g. ?attr.ram=16&attr.ram=32&attr.brand=Lenovo)
+const getAttributeFilters = (query) => {
+  return Object.fromEntries(
+    Object.entries(query)
+      .filter(([param]) => param.startsWith('attr.'))
+      .map(([param, value]) => [param.slice('attr.'.length), value])
+  );
+};
+
 // get all products with filters
 
 export const getAllProducts = asyncHandler(async (req, res) => {
@@ -11,14 +23,43 @@ export const getAllProducts = asyncHandler(async (req, res) => {
     minPrice: req.query.minPrice,
     maxPrice: req.query.maxPrice,
     search: req.query.search,
+    attributes: getAttributeFilters(req.query),
     status: req.query.status || 'active',
+    cursor: req.query.cursor,
+    page: req.query.page,
+    limit: req.query.limit,
+    sortBy: req.query.sortBy || 'createdAt',
+    sortOrder: req.query.sortOrder || 'desc',
+  };
+
+  const result = await productService.getAllProducts(filters);
+
+  successResponse(res, result, 'Products retrieved successfully', 200);
+});
+
+// get products with facet counts
+
+export const getFacetedProducts = asyncHandler(async (req, res) => {
+  const filters = {
+    category: req.query.category,
+    condition: req.query.condition ? req.query.condition.split(',') : undefined,
+    minPrice: req.query.minPrice,
+    maxPrice: req.query.maxPrice,
+    search: req.query.search,
+    attributes: getAttributeFilters(req.query),
+    shippingAvailable: req.query.shippingAvailable !== undefined
+      ? ['true', '1'].includes(req.query.shippingAvailable)
+      : undefined,
+    minRating: req.query.minRating,
+    minSellerRating: req.query.minSellerRating,
+    status: 'active',
     page: parseInt(req.query.page) || 1,
     limit: parseInt(req.query.limit) || 20,
     sortBy: req.query.sortBy || 'createdAt',
     sortOrder: req.query.sortOrder || 'desc',
   };
 
-  const result = await productService.getAllProducts(filters);
+  const result = await productService.getFacetedProducts(filters);
 
   successResponse(res, result, 'Products retrieved successfully', 200);
 });
@@ -96,6 +137,18 @@ export const updateProductStatus = asyncHandler(async (req, res) => {
   successResponse(res, product, 'Product status updated successfully', 200);
 });
 
+// renew an expired or expiring listing
+
+export const renewProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const sellerId = req.user.id;
+  const { expiresAt } = req.body;
+
+  const product = await productService.renewProduct(productId, sellerId, { expiresAt });
+
+  successResponse(res, product, 'Product renewed successfully', 200);
+});
+
 // search products
 
 
@@ -105,6 +158,7 @@ export const searchProducts = asyncHandler(async (req, res) => {
     category: req.query.category,
     minPrice: req.query.minPrice,
     maxPrice: req.query.maxPrice,
+    attributes: getAttributeFilters(req.query),
     page: parseInt(req.query.page) || 1,
     limit: parseInt(req.query.limit) || 20,
   };
@@ -126,6 +180,14 @@ export const getFeaturedProducts = asyncHandler(async (req, res) => {
   successResponse(res, products, 'Featured products retrieved successfully', 200);
 });
 
+// get active category tree
+
+export const getCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getCategoryTree();
+
+  successResponse(res, categories, 'Categories retrieved successfully', 200);
+});
+
 // get product categories with counts
 
 export const getCategoryCounts = asyncHandler(async (req, res) => {
@@ -167,18 +229,46 @@ export const incrementProductView = asyncHandler(async (req, res) => {
   successResponse(res, { views: product.views }, 'Product view incremented successfully', 200);
 });
 
+// get orders reserved against a pre-order listing (seller only)
+
+export const getPreOrderReservations = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const sellerId = req.user.id;
+
+  const result = await preOrderService.getPreOrderReservations(productId, sellerId);
+
+  successResponse(res, result, 'Pre-orders retrieved successfully', 200);
+});
+
+// mark a pre-order batch ready and release waiting orders (seller only)
+
+export const markPreOrderBatchReady = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+  const sellerId = req.user.id;
+  const { stock } = req.body;
+
+  const result = await preOrderService.markPreOrderBatchReady(productId, sellerId, { stock });
+
+  successResponse(res, result, 'Pre-order batch marked ready', 200);
+});
+
 export default {
   getAllProducts,
+  getFacetedProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
   getMyListings,
   updateProductStatus,
+  renewProduct,
   searchProducts,
   getFeaturedProducts,
+  getCategories,
   getCategoryCounts,
   getSimilarProducts,
   getTrendingProducts,
   incrementProductView,
+  getPreOrderReservations,
+  markPreOrderBatchReady,
 };
\ No newline at end of file
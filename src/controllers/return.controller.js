@@ -0,0 +1,91 @@
+import asyncHandler from '../utils/asyncHandler.js';
+import * as returnService from '../services/return.service.js';
+import { successResponse } from '../utils/response.js';
+
+// create return request (buyer only)
+
+export const createReturnRequest = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { orderId, reason, description, evidence, items } = req.body;
+
+  const returnRequest = await returnService.createReturnRequest(orderId, userId, {
+    reason,
+    description,
+    evidence,
+    items,
+  });
+
+  successResponse(res, returnRequest, 'Return request created successfully', 201);
+});
+
+// get user's return requests
+
+export const getMyReturnRequests = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { role, status, page, limit } = req.query;
+
+  const result = await returnService.getUserReturnRequests(userId, {
+    role,
+    status,
+    page: parseInt(page) || 1,
+    limit: parseInt(limit) || 20,
+  });
+
+  successResponse(res, result, 'Return requests retrieved successfully', 200);
+});
+
+// get single return request
+
+export const getReturnRequest = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { returnId } = req.params;
+
+  const returnRequest = await returnService.getReturnRequest(returnId, userId);
+
+  successResponse(res, returnRequest, 'Return request retrieved successfully', 200);
+});
+
+// approve or reject return request (seller only)
+
+export const reviewReturnRequest = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { returnId } = req.params;
+  const { decision, note } = req.body;
+
+  const returnRequest = await returnService.reviewReturnRequest(returnId, userId, decision, note);
+
+  successResponse(res, returnRequest, 'Return request reviewed successfully', 200);
+});
+
+// mark returned item as received (seller only)
+
+export const markItemsReturned = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { returnId } = req.params;
+  const { note } = req.body;
+
+  const returnRequest = await returnService.markItemsReturned(returnId, userId, note);
+
+  successResponse(res, returnRequest, 'Returned item marked as received', 200);
+});
+
+// issue refund (seller only)
+
+export const refundReturnRequest = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { returnId } = req.params;
+  const { note } = req.body;
+
+  const returnRequest = await returnService.refundReturnRequest(returnId, userId, note);
+
+  successResponse(res, returnRequest, 'Refund issued successfully', 200);
+});
+
+export default {
+  createReturnRequest,
+  getMyReturnRequests,
+  getReturnRequest,
+  reviewReturnRequest,
+  markItemsReturned,
+  refundReturnRequest,
+};
@@ -17,6 +17,10 @@ const cartSchema = new mongoose.Schema(
         ref: 'Product',
         required: true,
       },
+      // variant subdocument id (variant listings only)
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
       quantity: {
         type: Number,
         required: true,
@@ -47,11 +51,17 @@ cartSchema.pre('save', function(next) {
   next();
 });
 
+// check if a cart line is for a product (and variant)
+const isSameLine = (item, productId, variantId) => {
+  return item.product.toString() === productId.toString() &&
+         String(item.variant || '') === String(variantId || '');
+};
+
 // instance method: add item to cart
-cartSchema.methods.addItem = async function(productId, quantity = 1) {
+cartSchema.methods.addItem = async function(productId, quantity = 1, variantId = null) {
 
   const existingItem = this.items.find(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
 
   if (existingItem) {
@@ -63,6 +73,7 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
     // add new item to cart
     this.items.push({
       product: productId,
+      variant: variantId || undefined,
       quantity,
       addedAt: new Date(),
     });
@@ -72,24 +83,28 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
 };
 
 // instance method: remove item from cart
-cartSchema.methods.removeItem = function(productId) {
+// without a variant every line of the product is removed
+cartSchema.methods.removeItem = function(productId, variantId = null) {
   this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
+    item => variantId
+      ? !isSameLine(item, productId, variantId)
+      : item.product.toString() !== productId.toString()
   );
   return this.save();
 };
 
 // instance method: update item quantity
-cartSchema.methods.updateQuantity = function(productId, quantity) {
+cartSchema.methods.updateQuantity = function(productId, quantity, variantId = null) {
   const item = this.items.find(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
 
   if (item) {
     if (quantity <= 0) {
 
       // remove item if quantity is 0 or less
-      return this.removeItem(productId);
+      this.items.pull(item._id);
+      return this.save();
     }
     item.quantity = quantity;
     return this.save();
@@ -108,11 +123,11 @@ cartSchema.methods.clearCart = function() {
 cartSchema.methods.getTotal = async function() {
 
     // populate products to get prices
-  await this.populate('items.product', 'price');
+  await this.populate('items.product', 'price options variants');
 
   const total = this.items.reduce((sum, item) => {
     if (item.product && item.product.price) {
-      return sum + (item.product.price * item.quantity);
+      return sum + (item.product.getPrice(item.variant) * item.quantity);
     }
     return sum;
   }, 0);
@@ -131,7 +146,7 @@ cartSchema.methods.groupBySeller = async function() {
     // populate product with seller info
   await this.populate({
     path: 'items.product',
-    select: 'seller price name images',
+    select: 'seller price name images shippingAvailable shippingFee options variants',
     populate: {
       path: 'seller',
       select: 'name profilePicture sellerInfo',
@@ -154,17 +169,25 @@ cartSchema.methods.groupBySeller = async function() {
         };
       }
 
+      const variant = item.product.getVariant(item.variant);
+      const price = item.product.getPrice(item.variant);
+
       grouped[sellerId].items.push({
         _id: item._id,
         product: item.product,
+        variant: item.variant,
+        variantLabel: item.product.getVariantLabel(item.variant),
+        sku: variant?.sku,
         productName: item.product.name,
-        productImage: item.product.images[0] || null,
+        productImage: variant?.image || item.product.images[0] || null,
         quantity: item.quantity,
-        price: item.product.price,
-        subtotal: item.product.price * item.quantity,
+        price,
+        subtotal: price * item.quantity,
+        shippingAvailable: item.product.shippingAvailable,
+        shippingFee: item.product.shippingFee,
       });
 
-      grouped[sellerId].subtotal += item.product.price * item.quantity;
+      grouped[sellerId].subtotal += price * item.quantity;
     }
   });
 
@@ -193,12 +216,19 @@ cartSchema.methods.validateItems = async function() {
         item,
         reason: `Product is ${item.product.status}`,
       });
-    } else if (item.product.stock < item.quantity) {
+    } else if (!item.product.isValidVariantSelection(item.variant)) {
+
+      // variant removed by the seller (or never chosen)
+      invalidItems.push({
+        item,
+        reason: 'Selected option is no longer available',
+      });
+    } else if (item.product.getAvailableQuantity(item.variant) < item.quantity) {
 
-      // insufficient stock
+      // insufficient stock (or pre-order slots)
       invalidItems.push({
         item,
-        reason: `Only ${item.product.stock} items available`,
+        reason: `Only ${item.product.getAvailableQuantity(item.variant)} items available`,
       });
     } else {
       validItems.push(item);
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+export const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'enum'];
+
+// category schema definition
+// product taxonomy maintained by admins. top-level categories group their
+// children; products are filed under leaf categories by name
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [50, 'Category name cannot exceed 50 characters'],
+    },
+
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true,
+    },
+
+    // icon name or image url shown by the frontend
+    icon: {
+      type: String,
+      trim: true,
+    },
+
+    displayOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // structured fields products in this category (and its subcategories)
+    // can fill in, e.g. { key: 'ram', label: 'RAM', type: 'number', unit: 'GB' }
+    attributes: {
+      type: [{
+        _id: false,
+        key: {
+          type: String,
+          required: [true, 'Attribute key is required'],
+          trim: true,
+          match: [/^[a-zA-Z][a-zA-Z0-9]*$/, 'Attribute key must be alphanumeric and start with a letter'],
+        },
+        label: {
+          type: String,
+          required: [true, 'Attribute label is required'],
+          trim: true,
+        },
+        type: {
+          type: String,
+          enum: {
+            values: ATTRIBUTE_TYPES,
+            message: '{VALUE} is not a valid attribute type',
+          },
+          default: 'string',
+        },
+        // allowed values for enum attributes
+        options: [String],
+        unit: {
+          type: String,
+          trim: true,
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+        // whether the attribute is offered as a listing facet
+        filterable: {
+          type: Boolean,
+          default: true,
+        },
+      }],
+      default: [],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// names and slugs only need to be unique among siblings
+// ("Other" is both a top-level category and its only child)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ parent: 1, slug: 1 }, { unique: true });
+
+// turn a name into a url-friendly slug
+const slugify = (value) => {
+  return value
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// pre-validate hook: derive the slug from the name when not given and check
+// the attribute definitions
+categorySchema.pre('validate', function(next) {
+  if (this.name && (!this.slug || (this.isModified('name') && !this.isModified('slug')))) {
+    this.slug = slugify(this.name);
+  }
+
+  const keys = new Set();
+  for (const attribute of this.attributes) {
+    if (keys.has(attribute.key)) {
+      this.invalidate('attributes', `Attribute "${attribute.key}" is defined more than once`);
+    }
+    keys.add(attribute.key);
+
+    if (attribute.type === 'enum' && !attribute.options?.length) {
+      this.invalidate('attributes', `Attribute "${attribute.key}" needs at least one option`);
+    }
+  }
+
+  next();
+});
+
+// static method: all categories in display order
+categorySchema.statics.findSorted = function(filter = {}) {
+  return this.find(filter).sort({ displayOrder: 1, name: 1 });
+};
+
+const Category = mongoose.models.Category || mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// counter schema definition
+// named sequences incremented atomically (e.g. order-20250101 for daily order numbers)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// static method: atomically increment a counter and return the new value
+// creates the counter on first use
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return counter.seq;
+};
+
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+
+// dispute schema definition
+// escalates a disagreement between buyer and seller about an order to admins
+const disputeSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+      index: true,
+    },
+
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer is required'],
+    },
+
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller is required'],
+    },
+
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Opened by is required'],
+      index: true,
+    },
+
+    reason: {
+      type: String,
+      enum: {
+        values: [
+          'item_not_received',
+          'item_not_handed_over',
+          'wrong_item',
+          'not_as_described',
+          'payment_not_received',
+          'other',
+        ],
+        message: '{VALUE} is not a valid dispute reason',
+      },
+      required: [true, 'Reason is required'],
+    },
+
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      trim: true,
+    },
+
+    evidence: {
+      type: [String], // cloudinary urls for screenshots
+      default: [],
+    },
+
+    // snapshot of the order's statusHistory when the dispute was opened
+    orderHistory: [{
+      status: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      timestamp: Date,
+      note: String,
+    }],
+
+    // snapshot of the buyer-seller conversation when the dispute was opened
+    conversation: [{
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      messageText: String,
+      images: [String],
+      createdAt: Date,
+    }],
+
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'under_review', 'resolving', 'resolved'],
+        message: '{VALUE} is not a valid dispute status',
+      },
+      default: 'open',
+      index: true,
+    },
+
+    ruling: {
+      type: String,
+      enum: {
+        values: ['buyer', 'seller'],
+        message: '{VALUE} is not a valid ruling',
+      },
+    },
+
+    resolution: {
+      type: String,
+      trim: true,
+    },
+
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    resolvedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// compound indexes
+disputeSchema.index({ status: 1, createdAt: -1 });
+disputeSchema.index({ buyer: 1, createdAt: -1 });
+disputeSchema.index({ seller: 1, createdAt: -1 });
+
+// an order has at most one unresolved dispute
+disputeSchema.index(
+  { order: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['open', 'under_review', 'resolving'] } },
+  }
+);
+
+// instance method: resolve dispute
+disputeSchema.methods.resolve = function(adminId, ruling, resolution) {
+  this.status = 'resolved';
+  this.ruling = ruling;
+  this.resolution = resolution;
+  this.resolvedBy = adminId;
+  this.resolvedAt = new Date();
+  return this.save();
+};
+
+// static method: find open dispute for an order
+disputeSchema.statics.findOpenForOrder = function(orderId) {
+  return this.findOne({
+    order: orderId,
+    status: { $in: ['open', 'under_review', 'resolving'] },
+  });
+};
+
+// virtual: is open
+disputeSchema.virtual('isOpen').get(function() {
+  return this.status !== 'resolved';
+});
+
+const Dispute = mongoose.models.Dispute || mongoose.model('Dispute', disputeSchema);
+
+export default Dispute;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// meetup location schema definition
+// curated campus spots that sellers can propose for meetups (maintained by admins)
+const meetupLocationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Location name is required'],
+      trim: true,
+      unique: true,
+      maxlength: [100, 'Location name cannot exceed 100 characters'],
+    },
+
+    building: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Building cannot exceed 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// static method: find locations that can be proposed
+meetupLocationSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ name: 1 });
+};
+
+const MeetupLocation = mongoose.models.MeetupLocation || mongoose.model('MeetupLocation', meetupLocationSchema);
+
+export default MeetupLocation;
@@ -116,10 +116,20 @@ messageSchema.methods.markAsRead = function() {
 // static method: get conversation between two users
 messageSchema.statics.getConversation = function(userId1, userId2, options = {}) {
   const conversationId = this.generateConversationId(userId1, userId2);
-  const { limit = 50, skip = 0 } = options;
+  const { limit = 50, skip = 0, before = null } = options;
 
-  return this.find({ conversationId })
-    .sort({ createdAt: -1 })
+  const query = { conversationId };
+
+  // cursor paging: only messages older than the given { createdAt, _id }
+  if (before) {
+    query.$or = [
+      { createdAt: { $lt: before.createdAt } },
+      { createdAt: before.createdAt, _id: { $lt: before._id } },
+    ];
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
     .limit(limit)
     .skip(skip)
     .populate('sender', 'name profilePicture')
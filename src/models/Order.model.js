@@ -1,4 +1,7 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import Counter from './Counter.model.js';
+import { formatOrderNumber, getOrderDateKey } from '../utils/orderNumberUtils.js';
 
 // order schema definition
 const orderSchema = new mongoose.Schema(
@@ -15,6 +18,12 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // groups the per-seller orders created by one cart checkout
+    checkoutId: {
+      type: String,
+      index: true,
+    },
+
     items: [{
       product: {
         type: mongoose.Schema.Types.ObjectId,
@@ -43,8 +52,113 @@ const orderSchema = new mongoose.Schema(
       productImage: {
         type: String,
       },
+      // chosen variant (variant listings only), with its sku and label at order time
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      sku: {
+        type: String,
+      },
+      variantLabel: {
+        type: String,
+      },
+      // product shipping fee at order time, used when totals are recomputed
+      shippingFee: {
+        type: Number,
+        min: [0, 'Shipping fee cannot be negative'],
+      },
+      // ordered before stock existed; stockReadyAt is set when the batch is ready
+      isPreOrder: {
+        type: Boolean,
+        default: false,
+      },
+      stockReadyAt: {
+        type: Date,
+      },
     }],
 
+    // lines the seller dropped before processing (kept out of items so totals,
+    // stock and sales only ever look at what is actually being fulfilled)
+    cancelledItems: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+      },
+      price: {
+        type: Number,
+        required: true,
+      },
+      productName: {
+        type: String,
+        required: true,
+      },
+      productImage: {
+        type: String,
+      },
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      variantLabel: {
+        type: String,
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      cancelledAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+
+    // seller changes to line items waiting for the buyer's answer
+    itemAdjustment: {
+      status: {
+        type: String,
+        enum: {
+          values: ['awaiting_buyer', 'accepted', 'rejected'],
+          message: '{VALUE} is not a valid item adjustment status',
+        },
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedAt: {
+        type: Date,
+      },
+      respondedAt: {
+        type: Date,
+      },
+      previousTotal: {
+        type: Number,
+      },
+      changes: [{
+        product: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+        },
+        productName: {
+          type: String,
+        },
+        previousQuantity: {
+          type: Number,
+        },
+        newQuantity: {
+          type: Number,
+        },
+      }],
+    },
+
     totalAmount: {
       type: Number,
       required: true,
@@ -57,6 +171,21 @@ const orderSchema = new mongoose.Schema(
       min: [0, 'Shipping fee cannot be negative'],
     },
 
+    shippingFeeLines: [{
+      label: {
+        type: String,
+        required: true,
+      },
+      amount: {
+        type: Number,
+        required: true,
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+      },
+    }],
+
     deliveryMethod: {
       type: String,
       enum: {
@@ -70,6 +199,74 @@ const orderSchema = new mongoose.Schema(
       type: String,
     },
 
+    // agreed meetup time and place (meetup orders only)
+    meetupSchedule: {
+      status: {
+        type: String,
+        enum: {
+          values: ['proposed', 'accepted', 'reschedule_requested'],
+          message: '{VALUE} is not a valid meetup schedule status',
+        },
+      },
+      location: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MeetupLocation',
+      },
+      // copied so the order keeps the place even if the location is retired
+      locationName: {
+        type: String,
+      },
+      proposedSlots: [{
+        startTime: {
+          type: Date,
+          required: true,
+        },
+        endTime: {
+          type: Date,
+          required: true,
+        },
+      }],
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      proposedAt: {
+        type: Date,
+      },
+      acceptedSlot: {
+        startTime: {
+          type: Date,
+        },
+        endTime: {
+          type: Date,
+        },
+      },
+      acceptedAt: {
+        type: Date,
+      },
+      reminderSentAt: {
+        type: Date,
+      },
+      reschedules: [{
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        previousSlot: {
+          startTime: Date,
+          endTime: Date,
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
+    },
+
     deliveryAddress: {
       fullAddress: {
         type: String,
@@ -94,16 +291,66 @@ const orderSchema = new mongoose.Schema(
     paymentStatus: {
       type: String,
       enum: {
-        values: ['pending', 'confirmed', 'failed', 'refunded'],
+        values: ['pending', 'partially_paid', 'confirmed', 'failed', 'partially_refunded', 'refunded'],
         message: '{VALUE} is not a valid payment status',
       },
       default: 'pending',
     },
 
+    // total refunded so far (returns can refund an order a few items at a time)
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
+
+    // manual e-wallet transfer receipt uploaded by the buyer
+    paymentProof: {
+      imageUrl: {
+        type: String,
+      },
+      referenceNumber: {
+        type: String,
+        trim: true,
+      },
+      amount: {
+        type: Number,
+        min: [0, 'Amount cannot be negative'],
+      },
+      status: {
+        type: String,
+        enum: {
+          values: ['submitted', 'confirmed', 'rejected', 'disputed'],
+          message: '{VALUE} is not a valid payment proof status',
+        },
+      },
+      submittedAt: {
+        type: Date,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      rejectionReason: {
+        type: String,
+        trim: true,
+      },
+      disputeReason: {
+        type: String,
+        trim: true,
+      },
+      disputedAt: {
+        type: Date,
+      },
+    },
+
     status: {
       type: String,
       enum: {
-        values: ['pending', 'processing', 'ready', 'shipped', 'completed', 'cancelled'],
+        values: ['awaiting_stock', 'pending', 'processing', 'ready', 'shipped', 'completed', 'cancelled'],
         message: '{VALUE} is not a valid order status',
       },
       default: 'pending',
@@ -150,6 +397,13 @@ const orderSchema = new mongoose.Schema(
       default: false,
     },
 
+    // set while a dispute is open; freezes auto-confirmation and completion
+    isDisputed: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+
     buyerConfirmationDeadline: {
       type: Date,
     },
@@ -157,6 +411,117 @@ const orderSchema = new mongoose.Schema(
     autoConfirmedAt: {
       type: Date,
     },
+
+    // pre-order details (orders created in awaiting_stock)
+    preOrder: {
+      expectedAvailableAt: {
+        type: Date,
+      },
+      // when the order left awaiting_stock; the pending timeout counts from here
+      stockReadyAt: {
+        type: Date,
+      },
+    },
+
+    // upfront payment required by pre-order listings
+    deposit: {
+      amount: {
+        type: Number,
+        min: [0, 'Deposit cannot be negative'],
+      },
+      paidAmount: {
+        type: Number,
+        min: [0, 'Deposit cannot be negative'],
+      },
+      paidAt: {
+        type: Date,
+      },
+    },
+
+    // courier details and tracking timeline (shipping orders only)
+    shipment: {
+      courier: {
+        type: String,
+        trim: true,
+      },
+      trackingNumber: {
+        type: String,
+        trim: true,
+      },
+      trackingUrl: {
+        type: String,
+        trim: true,
+      },
+      shippedAt: {
+        type: Date,
+      },
+      lastSyncedAt: {
+        type: Date,
+      },
+      events: [{
+        status: {
+          type: String,
+          enum: {
+            values: [
+              'picked_up',
+              'in_transit',
+              'out_for_delivery',
+              'delivered',
+              'failed_attempt',
+              'returned_to_sender',
+              'other',
+            ],
+            message: '{VALUE} is not a valid shipment event status',
+          },
+          required: true,
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        location: {
+          type: String,
+          trim: true,
+        },
+        occurredAt: {
+          type: Date,
+          default: Date.now,
+        },
+        source: {
+          type: String,
+          enum: {
+            values: ['seller', 'courier'],
+            message: '{VALUE} is not a valid shipment event source',
+          },
+          default: 'seller',
+        },
+      }],
+    },
+
+    // one-time code the buyer shows the seller at the meetup
+    handover: {
+      code: {
+        type: String,
+        select: false,
+      },
+      issuedAt: {
+        type: Date,
+      },
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: {
+        type: Date,
+      },
+      verifiedAt: {
+        type: Date,
+      },
+      verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
   },
   {
     timestamps: true,
@@ -169,15 +534,15 @@ const orderSchema = new mongoose.Schema(
 orderSchema.index({ buyer: 1, status: 1 });
 orderSchema.index({ 'items.seller': 1, status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'paymentProof.status': 1, 'paymentProof.disputedAt': -1 });
+orderSchema.index({ status: 1, 'meetupSchedule.acceptedSlot.startTime': 1 });
+orderSchema.index({ 'shipment.trackingNumber': 1 });
+orderSchema.index({ status: 1, 'items.product': 1 });
 
 // middleware to generate unique order number before saving
 orderSchema.pre('save', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    // generate order number: ORD-YYYYMMDD-XXXXX
-    const date = new Date();
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-    const randomNum = Math.floor(10000 + Math.random() * 90000);
-    this.orderNumber = `ORD-${dateStr}-${randomNum}`;
+    this.orderNumber = await this.constructor.generateOrderNumber();
   }
   next();
 });
@@ -228,6 +593,86 @@ orderSchema.methods.cancelOrder = function(cancelledBy, reason) {
   return this.save();
 };
 
+// instance method: update payment status and log it in history
+orderSchema.methods.updatePaymentStatus = function(newPaymentStatus, updatedBy, note = '') {
+  this.paymentStatus = newPaymentStatus;
+  this.statusHistory.push({
+    status: this.status,
+    updatedBy,
+    timestamp: new Date(),
+    note: note || `payment ${newPaymentStatus}`,
+  });
+
+  return this.save();
+};
+
+// instance method: record the pre-order deposit as paid
+orderSchema.methods.recordDepositPayment = function(amount, updatedBy, note = '') {
+  this.deposit.paidAmount = amount;
+  this.deposit.paidAt = new Date();
+
+  // a 100% deposit covers the whole order
+  const paymentStatus = amount >= this.totalAmount ? 'confirmed' : 'partially_paid';
+
+  return this.updatePaymentStatus(paymentStatus, updatedBy, note || `deposit of ${amount} paid`);
+};
+
+// instance method: record a refund; the order counts as refunded once
+// everything the buyer paid has been given back
+orderSchema.methods.recordRefund = function(amount, updatedBy, note = '') {
+  const paymentStatus = amount >= this.refundableAmount ? 'refunded' : 'partially_refunded';
+  this.refundedAmount = (this.refundedAmount || 0) + amount;
+
+  return this.updatePaymentStatus(paymentStatus, updatedBy, note || `refunded ${amount}`);
+};
+
+// instance method: issue a fresh 6-digit handover code
+orderSchema.methods.issueHandoverCode = function() {
+  this.handover.code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  this.handover.issuedAt = new Date();
+  this.handover.failedAttempts = 0;
+  this.handover.lockedUntil = undefined;
+  return this.handover.code;
+};
+
+// instance method: invalidate the handover code
+orderSchema.methods.clearHandoverCode = function() {
+  this.handover.code = undefined;
+  this.handover.issuedAt = undefined;
+  this.handover.failedAttempts = 0;
+  this.handover.lockedUntil = undefined;
+};
+
+// instance method: compare a code with the handover code (needs +handover.code selected)
+orderSchema.methods.matchesHandoverCode = function(code) {
+  if (!this.handover?.code || typeof code !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.handover.code);
+  const received = Buffer.from(code);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// instance method: add a tracking event, skipping ones already recorded
+orderSchema.methods.addShipmentEvent = function(event) {
+  const occurredAt = new Date(event.occurredAt || Date.now());
+
+  const exists = this.shipment.events.some(
+    existing => existing.status === event.status &&
+                existing.occurredAt.getTime() === occurredAt.getTime()
+  );
+
+  if (exists) {
+    return false;
+  }
+
+  this.shipment.events.push({ ...event, occurredAt });
+  this.shipment.events.sort((a, b) => a.occurredAt - b.occurredAt);
+  return true;
+};
+
 // instance method: check if order can be cancelled
 orderSchema.methods.canBeCancelled = function() {
   const nonCancellableStatuses = ['completed', 'cancelled'];
@@ -236,10 +681,26 @@ orderSchema.methods.canBeCancelled = function() {
 
 // instance method: get seller from items
 orderSchema.methods.getSeller = function() {
-  // assuming all items have the same seller (multi-seller split logic)
+  // checkouts are split per seller, so every item has the same seller
   return this.items.length > 0 ? this.items[0].seller : null;
 };
 
+// static method: generate the next order number: ORD-YYYYMMDD-NNNNN-C
+// the counter is bumped outside any transaction so concurrent checkouts never
+// conflict on it; an aborted checkout just leaves a gap in the sequence
+orderSchema.statics.generateOrderNumber = async function() {
+  const dateKey = getOrderDateKey();
+  const sequence = await Counter.next(`order-${dateKey}`);
+  return formatOrderNumber(dateKey, sequence);
+};
+
+// static method: generate checkout id: CHK-YYYYMMDD-XXXXXXXX
+orderSchema.statics.generateCheckoutId = function() {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomStr = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `CHK-${dateStr}-${randomStr}`;
+};
+
 // static method: find orders by buyer
 orderSchema.statics.findByBuyer = function(buyerId, status = null) {
   const query = { buyer: buyerId };
@@ -278,6 +739,55 @@ orderSchema.virtual('isCancelled').get(function() {
   return this.status === 'cancelled';
 });
 
+// virtual: is paid through an e-wallet gateway
+orderSchema.virtual('isEWalletPayment').get(function() {
+  return ['gcash', 'maya'].includes(this.paymentMethod);
+});
+
+// virtual: is waiting for e-wallet payment before the seller can proceed
+orderSchema.virtual('isAwaitingPayment').get(function() {
+  return this.isEWalletPayment && this.paymentStatus !== 'confirmed';
+});
+
+// virtual: is waiting for the pre-order deposit
+orderSchema.virtual('isAwaitingDeposit').get(function() {
+  return this.deposit?.amount > 0 && !this.deposit.paidAt;
+});
+
+// virtual: amount the buyer should pay next (the deposit first, then the balance)
+orderSchema.virtual('amountDue').get(function() {
+  if (this.isAwaitingDeposit) {
+    return this.deposit.amount;
+  }
+  return Math.max(this.totalAmount - (this.deposit?.paidAmount || 0), 0);
+});
+
+// virtual: amount that can still be refunded (what was paid, less earlier refunds)
+// an order with only its pre-order deposit paid can get back just the deposit
+orderSchema.virtual('refundableAmount').get(function() {
+  const paidAmount = this.paymentStatus === 'partially_paid'
+    ? this.deposit?.paidAmount || 0
+    : this.totalAmount;
+  return Math.max(paidAmount - (this.refundedAmount || 0), 0);
+});
+
+// virtual: has the buyer accepted a meetup slot
+orderSchema.virtual('hasScheduledMeetup').get(function() {
+  return this.meetupSchedule?.status === 'accepted' &&
+         Boolean(this.meetupSchedule.acceptedSlot?.startTime);
+});
+
+// virtual: latest shipment event
+orderSchema.virtual('latestShipmentEvent').get(function() {
+  const events = this.shipment?.events || [];
+  return events.length > 0 ? events[events.length - 1] : null;
+});
+
+// virtual: is waiting for the buyer to accept seller item changes
+orderSchema.virtual('isAwaitingAdjustmentApproval').get(function() {
+  return this.itemAdjustment?.status === 'awaiting_buyer';
+});
+
 // virtual: days until auto confirm
 orderSchema.virtual('daysUntilAutoConfirm').get(function() {
   if (!this.buyerConfirmationDeadline || this.buyerConfirmed) {
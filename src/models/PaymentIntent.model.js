@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+
+// payment intent schema definition
+// one record per attempt to pay an order through an e-wallet gateway
+const paymentIntentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+      index: true,
+    },
+
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer is required'],
+      index: true,
+    },
+
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative'],
+    },
+
+    currency: {
+      type: String,
+      default: 'PHP',
+    },
+
+    // pre-orders with a deposit are paid as a deposit and then the balance
+    purpose: {
+      type: String,
+      enum: {
+        values: ['full', 'deposit', 'balance'],
+        message: '{VALUE} is not a valid payment purpose',
+      },
+      default: 'full',
+    },
+
+    method: {
+      type: String,
+      enum: {
+        values: ['gcash', 'maya'],
+        message: '{VALUE} is not a valid e-wallet method',
+      },
+      required: [true, 'Payment method is required'],
+    },
+
+    gateway: {
+      type: String,
+      required: [true, 'Gateway is required'],
+    },
+
+    gatewayReference: {
+      type: String,
+      required: [true, 'Gateway reference is required'],
+      unique: true,
+    },
+
+    checkoutUrl: {
+      type: String,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'succeeded', 'failed', 'expired', 'cancelled', 'partially_refunded', 'refunded'],
+        message: '{VALUE} is not a valid payment intent status',
+      },
+      default: 'pending',
+      index: true,
+    },
+
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
+
+    expiresAt: {
+      type: Date,
+    },
+
+    paidAt: {
+      type: Date,
+    },
+
+    // raw gateway webhook events, kept for auditing
+    events: [{
+      type: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+      },
+      receivedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// indexes for faster queries
+paymentIntentSchema.index({ order: 1, createdAt: -1 });
+
+// instance method: record a gateway event and move to its status
+paymentIntentSchema.methods.applyGatewayEvent = function(eventType, newStatus) {
+  this.events.push({
+    type: eventType,
+    status: newStatus,
+    receivedAt: new Date(),
+  });
+
+  this.status = newStatus;
+
+  if (newStatus === 'succeeded') {
+    this.paidAt = new Date();
+  }
+
+  return this.save();
+};
+
+// instance method: record a refund of part or all of the payment
+paymentIntentSchema.methods.recordRefund = function(amount) {
+  this.refundedAmount = (this.refundedAmount || 0) + amount;
+  const newStatus = this.refundedAmount >= this.amount ? 'refunded' : 'partially_refunded';
+
+  return this.applyGatewayEvent('refund', newStatus);
+};
+
+// static method: find latest intent for an order
+paymentIntentSchema.statics.findLatestForOrder = function(orderId) {
+  return this.findOne({ order: orderId }).sort({ createdAt: -1 });
+};
+
+// virtual: amount that can still be refunded
+paymentIntentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(this.amount - (this.refundedAmount || 0), 0);
+});
+
+// virtual: is final (no more gateway events expected)
+// cancelled intents are not: the buyer may still finish paying on the old checkout
+paymentIntentSchema.virtual('isFinal').get(function() {
+  return ['succeeded', 'failed', 'expired', 'partially_refunded', 'refunded'].includes(this.status);
+});
+
+const PaymentIntent = mongoose.models.PaymentIntent || mongoose.model('PaymentIntent', paymentIntentSchema);
+
+export default PaymentIntent;
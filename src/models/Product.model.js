@@ -48,82 +48,25 @@ const productSchema = new mongoose.Schema(
       required: [true, 'At least one product image is required'],
     },
 
+    // leaf category name from the Category collection (checked by the
+    // product service, since admins can add categories at runtime)
     category: {
       type: String,
-      enum: {
-        values: [
-          // School Supplies subcategories
-          'Notebooks',
-          'Pens & Pencils',
-          'Paper',
-          'Binders',
-          'Other Supplies',
-          // Electronics subcategories
-          'Laptops',
-          'Phones',
-          'Accessories',
-          'Chargers',
-          'Other Electronics',
-          // Books subcategories
-          'Textbooks',
-          'Novels',
-          'Study Guides',
-          'Reference',
-          'Other Books',
-          // Clothing subcategories
-          'Shirts',
-          'Pants',
-          'Shorts',
-          'Shoes',
-          'Other Clothing',
-          // Food & Drinks subcategories
-          'Snacks',
-          'Drinks',
-          'Meal Prep',
-          'Other Food',
-          // Sports Equipment subcategories
-          'Gym Equipment',
-          'Sports Gear',
-          'Outdoor',
-          'Other Sports',
-          // Beauty & Wellness subcategories
-          'Skincare',
-          'Makeup',
-          'Hair Care',
-          'Health & Fitness',
-          'Other Wellness',
-          // Furniture & Decor subcategories
-          'Furniture',
-          'Bedding',
-          'Room Decor',
-          'Storage',
-          'Other Decor',
-          // Musical Instruments subcategories
-          'Guitars',
-          'Keyboards',
-          'Drums',
-          'Strings & Wind',
-          'Other Instruments',
-          // Gaming & Hobbies subcategories
-          'Video Games',
-          'Board Games',
-          'Collectibles',
-          'Art Supplies',
-          'Other Hobbies',
-          // Pet Supplies subcategories
-          'Pet Food',
-          'Pet Toys',
-          'Pet Accessories',
-          'Pet Care',
-          'Other Pet Supplies',
-          // Others
-          'Other',
-        ],
-        message: '{VALUE} is not a valid category. Must be a valid subcategory.',
-      },
+      trim: true,
       required: [true, 'Product category is required'],
     },
 
+    // structured details defined by the category's attribute schema,
+    // e.g. [{ key: 'ram', value: 16 }], checked by the product service
+    attributes: {
+      type: [{
+        _id: false,
+        key: { type: String, required: true },
+        value: { type: mongoose.Schema.Types.Mixed, required: true },
+      }],
+      default: [],
+    },
+
     condition: {
       type: String,
       enum: {
@@ -133,6 +76,53 @@ const productSchema = new mongoose.Schema(
       required: [true, 'Product condition is required'],
     },
 
+    // option types for variant listings, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+    options: {
+      type: [{
+        _id: false,
+        name: {
+          type: String,
+          required: [true, 'Option name is required'],
+          trim: true,
+        },
+        values: {
+          type: [String],
+          required: [true, 'Option values are required'],
+        },
+      }],
+      default: [],
+    },
+
+    // one entry per option combination; when there are variants the product
+    // stock is the sum of the variant stocks
+    variants: [{
+      sku: {
+        type: String,
+        required: [true, 'Variant SKU is required'],
+        trim: true,
+        uppercase: true,
+      },
+      // option name -> value, e.g. { Size: 'M', Color: 'Black' }
+      options: {
+        type: Map,
+        of: String,
+        required: [true, 'Variant options are required'],
+      },
+      // overrides the product price when set
+      price: {
+        type: Number,
+        min: [1, 'Variant price must be at least 1'],
+      },
+      stock: {
+        type: Number,
+        default: 0,
+        min: [0, 'Variant stock cannot be negative'],
+      },
+      image: {
+        type: String,
+      },
+    }],
+
     shippingAvailable: {
       type: Boolean,
       default: false,
@@ -147,7 +137,7 @@ const productSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ['active', 'paused', 'sold', 'deleted'],
+        values: ['active', 'paused', 'sold', 'scheduled', 'expired', 'deleted'],
         message: '{VALUE} is not a valid status',
       },
       default: 'active',
@@ -202,6 +192,50 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Order count cannot be negative'],
     },
+
+    // listing schedule: hidden as 'scheduled' until publishAt, then moved
+    // to 'expired' after expiresAt (both handled by the listing scheduler)
+    publishAt: {
+      type: Date,
+    },
+
+    expiresAt: {
+      type: Date,
+    },
+
+    expiryReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    // made-to-order / pre-order listing: buyers order before stock exists and
+    // the orders wait in awaiting_stock until the seller marks the batch ready
+    preOrder: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      expectedAvailableAt: {
+        type: Date,
+      },
+      // optional cap on units taken for the current batch
+      maxQuantity: {
+        type: Number,
+        min: [1, 'Pre-order limit must be at least 1'],
+      },
+      reservedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved pre-order quantity cannot be negative'],
+      },
+      // share of the price paid upfront (0 means no deposit)
+      depositPercent: {
+        type: Number,
+        default: 0,
+        min: [0, 'Deposit cannot be negative'],
+        max: [100, 'Deposit cannot exceed 100 percent'],
+      },
+    },
   },
   {
     timestamps: true,
@@ -213,9 +247,13 @@ const productSchema = new mongoose.Schema(
 // indexes for faster queries
 productSchema.index({ seller: 1, status: 1 });
 productSchema.index({ category: 1, status: 1 });
+productSchema.index({ 'attributes.key': 1, 'attributes.value': 1 });
 productSchema.index({ status: 1, stock: 1 });
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'preOrder.enabled': 1, status: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ status: 1, expiresAt: 1 });
 
 // instance method: increment views for unique users only
 productSchema.methods.incrementViews = async function(userId) {
@@ -248,11 +286,48 @@ productSchema.methods.updateRating = async function() {
   return this.save();
 };
 
-// instance method: decrement stock
-productSchema.methods.decrementStock = function(quantity) {
-  if (this.stock < quantity) {
+// instance method: get a variant by id
+productSchema.methods.getVariant = function(variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+// instance method: check a variant choice (required for variant listings, not allowed otherwise)
+productSchema.methods.isValidVariantSelection = function(variantId) {
+  return this.hasVariants ? Boolean(this.getVariant(variantId)) : !variantId;
+};
+
+// instance method: price of the product or one of its variants
+productSchema.methods.getPrice = function(variantId = null) {
+  return this.getVariant(variantId)?.price ?? this.price;
+};
+
+// instance method: readable variant name, e.g. "Size: M, Color: Black"
+productSchema.methods.getVariantLabel = function(variantId) {
+  const variant = this.getVariant(variantId);
+  if (!variant) {
+    return '';
+  }
+
+  return this.options
+    .map(option => `${option.name}: ${variant.options.get(option.name)}`)
+    .join(', ');
+};
+
+// instance method: decrement stock (of a variant when given)
+productSchema.methods.decrementStock = function(quantity, variantId = null) {
+  const variant = this.getVariant(variantId);
+
+  // the product stock is the sum of the variant stocks, so it can't be
+  // changed on its own
+  if (this.hasVariants && !variant) {
+    throw new Error('Variant not found');
+  }
+  if ((variant || this).stock < quantity) {
     throw new Error('Insufficient stock');
   }
+  if (variant) {
+    variant.stock -= quantity;
+  }
   this.stock -= quantity;
 
   // auto-mark as sold if stock reaches 0
@@ -263,8 +338,16 @@ productSchema.methods.decrementStock = function(quantity) {
   return this.save();
 };
 
-// instance method: increment stock
-productSchema.methods.incrementStock = function(quantity) {
+// instance method: increment stock (of a variant when given)
+productSchema.methods.incrementStock = function(quantity, variantId = null) {
+  const variant = this.getVariant(variantId);
+
+  if (this.hasVariants && !variant) {
+    throw new Error('Variant not found');
+  }
+  if (variant) {
+    variant.stock += quantity;
+  }
   this.stock += quantity;
 
   // reactivate if product was sold
@@ -275,6 +358,79 @@ productSchema.methods.incrementStock = function(quantity) {
   return this.save();
 };
 
+// static method: atomically reserve stock for an order
+// only matches when the product (and variant, if given) is active and has
+// enough stock, so two concurrent buyers cannot both take the last unit.
+// returns null otherwise
+productSchema.statics.reserveStock = async function(productId, quantity, session = null, variantId = null) {
+  const filter = { _id: productId, status: 'active', stock: { $gte: quantity } };
+  const update = { $inc: { stock: -quantity, orderCount: 1 } };
+
+  if (variantId) {
+    filter.variants = { $elemMatch: { _id: variantId, stock: { $gte: quantity } } };
+    update.$inc['variants.$.stock'] = -quantity;
+  }
+
+  const product = await this.findOneAndUpdate(filter, update, { new: true, session });
+
+  // auto-mark as sold if stock reaches 0 (query updates skip the save hooks)
+  if (product && product.stock === 0) {
+    await this.updateOne(
+      { _id: productId, stock: 0 },
+      { $set: { status: 'sold' } },
+      { session }
+    );
+    product.status = 'sold';
+  }
+
+  return product;
+};
+
+// static method: atomically reserve pre-order units for an order
+// stock is not touched; only matches while the listing is taking pre-orders
+// and the cap (if any) has room. returns null otherwise
+productSchema.statics.reservePreOrder = function(productId, quantity, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: productId,
+      status: 'active',
+      'preOrder.enabled': true,
+      $or: [
+        { 'preOrder.maxQuantity': null },
+        {
+          $expr: {
+            $lte: [
+              { $add: ['$preOrder.reservedQuantity', quantity] },
+              '$preOrder.maxQuantity',
+            ],
+          },
+        },
+      ],
+    },
+    { $inc: { 'preOrder.reservedQuantity': quantity, orderCount: 1 } },
+    { new: true, session }
+  );
+};
+
+// static method: give back pre-order units of a cancelled order
+productSchema.statics.releasePreOrder = function(productId, quantity) {
+  return this.updateOne(
+    { _id: productId, 'preOrder.reservedQuantity': { $gte: quantity } },
+    { $inc: { 'preOrder.reservedQuantity': -quantity } }
+  );
+};
+
+// instance method: units a buyer can still order (stock, or pre-order room)
+productSchema.methods.getAvailableQuantity = function(variantId = null) {
+  if (!this.preOrder?.enabled) {
+    return this.hasVariants ? this.getVariant(variantId)?.stock || 0 : this.stock;
+  }
+
+  return this.preOrder.maxQuantity
+    ? Math.max(this.preOrder.maxQuantity - this.preOrder.reservedQuantity, 0)
+    : Infinity;
+};
+
 // instance method: mark as sold
 productSchema.methods.markAsSold = function() {
   this.status = 'sold';
@@ -304,9 +460,9 @@ productSchema.statics.findBySeller = function(sellerId, status = null) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
-// static method: search products
-productSchema.statics.searchProducts = function(searchTerm, options = {}) {
-  const { limit = 20, skip = 0, category = null, minPrice = null, maxPrice = null } = options;
+// static method: build the filter used by product search
+productSchema.statics.buildSearchQuery = function(searchTerm, options = {}) {
+  const { category = null, minPrice = null, maxPrice = null, attributes = null } = options;
 
   const query = {
     status: 'active',
@@ -316,8 +472,16 @@ productSchema.statics.searchProducts = function(searchTerm, options = {}) {
   if (category) query.category = category;
   if (minPrice !== null) query.price = { ...query.price, $gte: minPrice };
   if (maxPrice !== null) query.price = { ...query.price, $lte: maxPrice };
+  if (attributes) query.attributes = attributes;
 
-  return this.find(query)
+  return query;
+};
+
+// static method: search products
+productSchema.statics.searchProducts = function(searchTerm, options = {}) {
+  const { limit = 20, skip = 0 } = options;
+
+  return this.find(this.buildSearchQuery(searchTerm, options))
     .populate('seller', 'name profilePicture')
     .sort({ score: { $meta: 'textScore' } })
     .limit(limit)
@@ -339,14 +503,83 @@ productSchema.virtual('inStock').get(function() {
   return this.stock > 0;
 });
 
+// virtual: is sold in variants
+productSchema.virtual('hasVariants').get(function() {
+  return this.variants?.length > 0;
+});
+
+// virtual: is taking pre-orders
+productSchema.virtual('isPreOrder').get(function() {
+  return Boolean(this.preOrder?.enabled);
+});
+
+// virtual: pre-order units left under the cap (null when uncapped)
+productSchema.virtual('preOrderRemaining').get(function() {
+  if (!this.preOrder?.enabled || !this.preOrder.maxQuantity) {
+    return null;
+  }
+  return Math.max(this.preOrder.maxQuantity - this.preOrder.reservedQuantity, 0);
+});
+
 // virtual: is low stock
 productSchema.virtual('isLowStock').get(function() {
   return this.stock > 0 && this.stock <= 5;
 });
 
+// pre-validate hook: check variants against the option types and sum their stock
+productSchema.pre('validate', function(next) {
+  if (!this.hasVariants) {
+    return next();
+  }
+
+  // pre-order caps and batches are counted for the listing as a whole
+  if (this.preOrder?.enabled) {
+    this.invalidate('preOrder.enabled', 'Pre-orders are not available for listings with variants');
+    return next();
+  }
+
+  if (this.options.length === 0) {
+    this.invalidate('options', 'Variant listings need at least one option type');
+    return next();
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    const keys = [...variant.options.keys()];
+    const matchesOptions = keys.length === this.options.length &&
+      this.options.every(option => option.values.includes(variant.options.get(option.name)));
+
+    if (!matchesOptions) {
+      this.invalidate('variants', `Variant ${variant.sku} must have one value for each option type`);
+    }
+
+    const combination = this.options.map(option => variant.options.get(option.name)).join('|');
+    if (skus.has(variant.sku) || combinations.has(combination)) {
+      this.invalidate('variants', `Variant ${variant.sku} is a duplicate`);
+    }
+
+    skus.add(variant.sku);
+    combinations.add(combination);
+  }
+
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
+// pre-validate hook: a listing must expire after it is published
+productSchema.pre('validate', function(next) {
+  if (this.publishAt && this.expiresAt && this.expiresAt <= this.publishAt) {
+    this.invalidate('expiresAt', 'Expiry date must be after the publish date');
+  }
+  next();
+});
+
 // pre-save hook: auto-reactivate if stock > 0 and status is sold
+// (pre-order listings sell without stock, so they are reactivated too)
 productSchema.pre('save', function(next) {
-  if (this.stock > 0 && this.status === 'sold') {
+  if ((this.stock > 0 || this.preOrder?.enabled) && this.status === 'sold') {
     this.status = 'active';
   }
   next();
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+
+// return request schema definition
+// a buyer's request to return items from a completed order for a refund
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+      index: true,
+    },
+
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Buyer is required'],
+      index: true,
+    },
+
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Seller is required'],
+      index: true,
+    },
+
+    items: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      productName: {
+        type: String,
+        required: true,
+      },
+      // variant of the order line (variant listings only)
+      variant: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      variantLabel: {
+        type: String,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: [0, 'Price cannot be negative'],
+      },
+    }],
+
+    reason: {
+      type: String,
+      enum: {
+        values: ['damaged', 'wrong_item', 'not_as_described', 'missing_parts', 'other'],
+        message: '{VALUE} is not a valid return reason',
+      },
+      required: [true, 'Reason is required'],
+    },
+
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      trim: true,
+    },
+
+    evidence: {
+      type: [String], // cloudinary urls for photos
+      validate: {
+        validator: function(evidence) {
+          return evidence.length >= 1 && evidence.length <= 5;
+        },
+        message: 'At least 1 and no more than 5 evidence photos are required',
+      },
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['requested', 'approved', 'rejected', 'returned', 'refunded'],
+        message: '{VALUE} is not a valid return status',
+      },
+      default: 'requested',
+      index: true,
+    },
+
+    refundAmount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount cannot be negative'],
+    },
+
+    refundReference: {
+      type: String,
+    },
+
+    statusHistory: [{
+      status: {
+        type: String,
+        required: true,
+      },
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now,
+      },
+      note: {
+        type: String,
+      },
+    }],
+
+    approvedAt: {
+      type: Date,
+    },
+
+    returnedAt: {
+      type: Date,
+    },
+
+    refundedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// indexes for faster queries
+returnRequestSchema.index({ seller: 1, status: 1 });
+returnRequestSchema.index({ order: 1, status: 1 });
+
+// an order has at most one open return request
+returnRequestSchema.index(
+  { order: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['requested', 'approved', 'returned'] } },
+  }
+);
+
+// middleware to add initial status to history
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.statusHistory.push({
+      status: this.status,
+      updatedBy: this.buyer,
+      timestamp: new Date(),
+      note: 'Return requested',
+    });
+  }
+  next();
+});
+
+// instance method: update return status
+returnRequestSchema.methods.updateStatus = function(newStatus, updatedBy, note = '') {
+  const now = new Date();
+
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    updatedBy,
+    timestamp: now,
+    note,
+  });
+
+  if (newStatus === 'approved') this.approvedAt = now;
+  if (newStatus === 'returned') this.returnedAt = now;
+  if (newStatus === 'refunded') this.refundedAt = now;
+
+  return this.save();
+};
+
+// static method: check if order has an open return request
+returnRequestSchema.statics.hasOpenRequest = async function(orderId) {
+  const request = await this.findOne({
+    order: orderId,
+    status: { $in: ['requested', 'approved', 'returned'] },
+  });
+  return !!request;
+};
+
+// static method: quantities already refunded through returns, keyed by product and variant
+returnRequestSchema.statics.getRefundedQuantities = async function(orderId) {
+  const requests = await this.find({ order: orderId, status: 'refunded' }).select('items');
+  const quantities = new Map();
+
+  for (const item of requests.flatMap(request => request.items)) {
+    const key = `${item.product}:${item.variant || ''}`;
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  }
+
+  return quantities;
+};
+
+// virtual: is open (still waiting on buyer or seller)
+returnRequestSchema.virtual('isOpen').get(function() {
+  return ['requested', 'approved', 'returned'].includes(this.status);
+});
+
+const ReturnRequest = mongoose.models.ReturnRequest || mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import config from '../config/config.js';
+import { SHIPPING_RULE_TYPES } from '../utils/shippingUtils.js';
 
 // user schema definition
 const userSchema = new mongoose.Schema(
@@ -83,6 +84,31 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      shippingRules: {
+        type: {
+          type: String,
+          enum: {
+            values: SHIPPING_RULE_TYPES,
+            message: '{VALUE} is not a valid shipping rule type',
+          },
+          default: 'per_product',
+        },
+        flatFee: {
+          type: Number,
+          default: 0,
+          min: [0, 'Flat shipping fee cannot be negative'],
+        },
+        additionalItemFee: {
+          type: Number,
+          default: 0,
+          min: [0, 'Additional item fee cannot be negative'],
+        },
+        freeShippingThreshold: {
+          type: Number,
+          default: 0,
+          min: [0, 'Free shipping threshold cannot be negative'],
+        },
+      },
       totalSales: {
         type: Number,
         default: 0,
@@ -176,6 +202,7 @@ userSchema.methods.getPublicProfile = function() {
     sellerInfo: {
       bio: this.sellerInfo.bio,
       allowsShipping: this.sellerInfo.allowsShipping,
+      shippingRules: this.sellerInfo.shippingRules,
       totalSales: this.sellerInfo.totalSales,
       averageRating: this.sellerInfo.averageRating,
     },
@@ -238,6 +265,12 @@ userSchema.methods.incrementSales = function(amount = 1) {
   return this.save();
 };
 
+// instance method: decrement total sales (refunded orders)
+userSchema.methods.decrementSales = function(amount = 1) {
+  this.sellerInfo.totalSales = Math.max(0, this.sellerInfo.totalSales - amount);
+  return this.save();
+};
+
 // static method: find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
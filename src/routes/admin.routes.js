@@ -3,6 +3,9 @@
     import * as reportValidator from '../validators/report.validator.js';
     import * as userValidator from '../validators/user.validator.js';
     import * as productValidator from '../validators/product.validator.js';
+    import * as disputeValidator from '../validators/dispute.validator.js';
+    import * as meetupValidator from '../validators/meetup.validator.js';
+    import * as categoryValidator from '../validators/category.validator.js';
     import { authenticate, restrictTo } from '../middleware/auth.js';
 
     const router = express.Router();
@@ -54,6 +57,79 @@
     // access  private (admin only)
     router.get('/orders', adminController.getAllOrders);
 
+    // route   GET /api/admin/payments/disputed
+    // desc    get orders with disputed payment proofs
+    // access  private (admin only)
+    router.get('/payments/disputed', adminController.getDisputedPayments);
+
+    // dispute management
+    // route   GET /api/admin/disputes
+    // desc    get all order disputes
+    // access  private (admin only)
+    router.get('/disputes', adminController.getAllDisputes);
+
+    // route   GET /api/admin/disputes/:disputeId
+    // desc    get single dispute with order history and conversation
+    // access  private (admin only)
+    router.get('/disputes/:disputeId', disputeValidator.disputeIdValidator, adminController.getDispute);
+
+    // route   PATCH /api/admin/disputes/:disputeId/review
+    // desc    mark dispute as under review
+    // access  private (admin only)
+    router.patch('/disputes/:disputeId/review', disputeValidator.disputeIdValidator, adminController.reviewDispute);
+
+    // route   PATCH /api/admin/disputes/:disputeId/resolve
+    // desc    rule on dispute for buyer or seller
+    // access  private (admin only)
+    router.patch('/disputes/:disputeId/resolve', disputeValidator.disputeIdValidator, disputeValidator.resolveDisputeValidator, adminController.resolveDispute);
+
+    // meetup location management
+    // route   GET /api/admin/meetup-locations
+    // desc    get all campus meetup locations
+    // access  private (admin only)
+    router.get('/meetup-locations', adminController.getMeetupLocations);
+
+    // route   POST /api/admin/meetup-locations
+    // desc    add campus meetup location
+    // access  private (admin only)
+    router.post('/meetup-locations', meetupValidator.createMeetupLocationValidator, adminController.createMeetupLocation);
+
+    // route   PATCH /api/admin/meetup-locations/:locationId
+    // desc    update campus meetup location
+    // access  private (admin only)
+    router.patch('/meetup-locations/:locationId', meetupValidator.locationIdValidator, meetupValidator.updateMeetupLocationValidator, adminController.updateMeetupLocation);
+
+    // route   DELETE /api/admin/meetup-locations/:locationId
+    // desc    retire campus meetup location
+    // access  private (admin only)
+    router.delete('/meetup-locations/:locationId', meetupValidator.locationIdValidator, adminController.deactivateMeetupLocation);
+
+    // category management
+    // route   GET /api/admin/categories
+    // desc    get category tree (including inactive categories)
+    // access  private (admin only)
+    router.get('/categories', adminController.getCategories);
+
+    // route   POST /api/admin/categories
+    // desc    create category
+    // access  private (admin only)
+    router.post('/categories', categoryValidator.createCategoryValidator, adminController.createCategory);
+
+    // route   PATCH /api/admin/categories/:categoryId
+    // desc    update category (renaming a subcategory moves its products)
+    // access  private (admin only)
+    router.patch('/categories/:categoryId', categoryValidator.categoryIdValidator, categoryValidator.updateCategoryValidator, adminController.updateCategory);
+
+    // route   POST /api/admin/categories/:categoryId/merge
+    // desc    merge category into another and move its products
+    // access  private (admin only)
+    router.post('/categories/:categoryId/merge', categoryValidator.categoryIdValidator, categoryValidator.mergeCategoryValidator, adminController.mergeCategory);
+
+    // route   DELETE /api/admin/categories/:categoryId
+    // desc    delete empty category
+    // access  private (admin only)
+    router.delete('/categories/:categoryId', categoryValidator.categoryIdValidator, adminController.deleteCategory);
+
     // report management
     // route   GET /api/admin/reports
     // desc    get all reports
@@ -34,12 +34,12 @@ router.post('/validate', cartValidator.validateStockValidator, cartController.va
 router.post('/', cartValidator.addToCartValidator, cartController.addToCart);
 
 // route   PUT /api/cart/:productId
-// desc    update cart item quantity
+// desc    update cart item quantity (variantId in the body for variant listings)
 // access  private
 router.put('/:productId', cartValidator.updateCartItemValidator, cartController.updateCartItem);
 
 // route   DELETE /api/cart/:productId
-// desc    remove item from cart
+// desc    remove item from cart (?variantId= removes just that variant)
 // access  private
 router.delete('/:productId', cartValidator.productIdParamValidator, cartController.removeFromCart);
 
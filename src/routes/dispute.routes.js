@@ -0,0 +1,26 @@
+import express from 'express';
+import * as disputeController from '../controllers/dispute.controller.js';
+import * as disputeValidator from '../validators/dispute.validator.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// all routes are protected
+router.use(authenticate);
+
+// route   GET /api/disputes/my
+// desc    get disputes the user is part of
+// access  private
+router.get('/my', disputeController.getMyDisputes);
+
+// route   POST /api/disputes
+// desc    open a dispute on an order
+// access  private (buyer or seller)
+router.post('/', disputeValidator.openDisputeValidator, disputeController.openDispute);
+
+// route   GET /api/disputes/:disputeId
+// desc    get single dispute
+// access  private (buyer, seller or admin)
+router.get('/:disputeId', disputeValidator.disputeIdValidator, disputeController.getDispute);
+
+export default router;
@@ -10,6 +10,10 @@ import reviewRoutes from './review.routes.js';
 import reportRoutes from './report.routes.js';
 import uploadRoutes from './upload.routes.js';
 import adminRoutes from './admin.routes.js';
+import paymentRoutes from './payment.routes.js';
+import returnRoutes from './return.routes.js';
+import disputeRoutes from './dispute.routes.js';
+import meetupRoutes from './meetup.routes.js';
 
 // mount all routes with /api prefix
 export default (app) => {
@@ -24,4 +28,8 @@ export default (app) => {
   app.use('/api/reports', reportRoutes);
   app.use('/api/upload', uploadRoutes);
   app.use('/api/admin', adminRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/returns', returnRoutes);
+  app.use('/api/disputes', disputeRoutes);
+  app.use('/api/meetups', meetupRoutes);
 };
\ No newline at end of file
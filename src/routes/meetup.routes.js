@@ -0,0 +1,59 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import config from '../config/config.js';
+import * as meetupController from '../controllers/meetup.controller.js';
+import * as meetupValidator from '../validators/meetup.validator.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// handover codes are only 6 digits, so checks are also throttled per seller
+// (on top of the per-order lock) and in every environment
+const handoverLimiter = rateLimit({
+  windowMs: config.meetup.handoverRateLimitWindowMinutes * 60 * 1000,
+  limit: config.meetup.handoverRateLimitMax,
+  keyGenerator: (req) => req.user._id.toString(),
+  message: 'Too many handover code checks, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// all routes are protected
+router.use(authenticate);
+
+// route   GET /api/meetups/locations
+// desc    get campus meetup locations
+// access  private
+router.get('/locations', meetupController.getMeetupLocations);
+
+// route   GET /api/meetups/orders/:orderId
+// desc    get meetup schedule for an order
+// access  private (buyer or seller)
+router.get('/orders/:orderId', meetupValidator.orderIdValidator, meetupController.getMeetupSchedule);
+
+// route   POST /api/meetups/orders/:orderId/proposals
+// desc    propose meetup time slots
+// access  private (seller only)
+router.post('/orders/:orderId/proposals', meetupValidator.orderIdValidator, meetupValidator.proposeMeetupSlotsValidator, meetupController.proposeMeetupSlots);
+
+// route   POST /api/meetups/orders/:orderId/accept
+// desc    accept a proposed meetup slot
+// access  private (buyer only)
+router.post('/orders/:orderId/accept', meetupValidator.orderIdValidator, meetupValidator.acceptMeetupSlotValidator, meetupController.acceptMeetupSlot);
+
+// route   POST /api/meetups/orders/:orderId/reschedule
+// desc    reschedule the meetup with a reason
+// access  private (buyer or seller)
+router.post('/orders/:orderId/reschedule', meetupValidator.orderIdValidator, meetupValidator.rescheduleMeetupValidator, meetupController.rescheduleMeetup);
+
+// route   GET /api/meetups/orders/:orderId/handover-code
+// desc    get one-time handover code and QR payload
+// access  private (buyer only)
+router.get('/orders/:orderId/handover-code', meetupValidator.orderIdValidator, meetupController.getHandoverCode);
+
+// route   POST /api/meetups/orders/:orderId/handover
+// desc    verify buyer's handover code and complete the order
+// access  private (seller only)
+router.post('/orders/:orderId/handover', handoverLimiter, meetupValidator.orderIdValidator, meetupValidator.verifyHandoverCodeValidator, meetupController.verifyHandoverCode);
+
+export default router;
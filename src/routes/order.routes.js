@@ -23,16 +23,41 @@ router.get('/purchases', orderController.getMyPurchases);
 // access  private
 router.get('/sales', orderController.getMySales);
 
+// route   GET /api/orders/sales/export
+// desc    download sales as csv or xlsx (?format=csv|xlsx&from=&to=)
+// access  private (seller)
+router.get('/sales/export', orderValidator.salesExportValidator, orderController.exportSales);
+
 // route   GET /api/orders/stats
 // desc    get order statistics
 // access  private
 router.get('/stats', orderController.getOrderStats);
 
+// route   GET /api/orders/analytics
+// desc    seller revenue analytics (?interval=day|week|month&from=&to=)
+// access  private (seller)
+router.get('/analytics', orderValidator.sellerAnalyticsValidator, orderController.getSellerAnalytics);
+
 // route   POST /api/orders
 // desc    create order from cart
 // access  private
 router.post('/', orderValidator.createOrderValidator, orderController.createOrder);
 
+// route   POST /api/orders/checkout
+// desc    checkout cart split into one order per seller
+// access  private
+router.post('/checkout', orderValidator.checkoutValidator, orderController.checkout);
+
+// route   GET /api/orders/checkout/:checkoutId
+// desc    get all orders of a checkout (buyer only)
+// access  private
+router.get('/checkout/:checkoutId', orderValidator.checkoutIdValidator, orderController.getCheckout);
+
+// route   GET /api/orders/number/:orderNumber
+// desc    find order by its order number
+// access  private (buyer or seller)
+router.get('/number/:orderNumber', orderValidator.orderNumberValidator, orderController.getOrderByNumber);
+
 // route   GET /api/orders/:orderId
 // desc    get single order
 // access  private
@@ -43,6 +68,36 @@ router.get('/:orderId', orderValidator.orderIdValidator, orderController.getOrde
 // access  private
 router.patch('/:orderId/status', orderValidator.orderIdValidator, orderValidator.updateOrderStatusValidator, orderController.updateOrderStatus);
 
+// route   POST /api/orders/:orderId/tracking
+// desc    post shipment tracking update
+// access  private (seller only)
+router.post('/:orderId/tracking', orderValidator.orderIdValidator, orderValidator.trackingUpdateValidator, orderController.addTrackingUpdate);
+
+// route   POST /api/orders/:orderId/tracking/refresh
+// desc    pull latest tracking events from the courier
+// access  private (buyer or seller)
+router.post('/:orderId/tracking/refresh', orderValidator.orderIdValidator, orderController.refreshTracking);
+
+// route   PATCH /api/orders/:orderId/items
+// desc    reduce or remove line items before processing
+// access  private (seller only)
+router.patch('/:orderId/items', orderValidator.orderIdValidator, orderValidator.adjustOrderItemsValidator, orderController.adjustOrderItems);
+
+// route   POST /api/orders/:orderId/items/response
+// desc    accept or reject the seller's item changes
+// access  private (buyer only)
+router.post('/:orderId/items/response', orderValidator.orderIdValidator, orderValidator.respondToItemAdjustmentValidator, orderController.respondToItemAdjustment);
+
+// route   POST /api/orders/:orderId/buy-again
+// desc    add a past order's items back to the cart
+// access  private (buyer only)
+router.post('/:orderId/buy-again', orderValidator.orderIdValidator, orderController.buyAgain);
+
+// route   GET /api/orders/:orderId/receipt
+// desc    download receipt (?format=pdf|html, defaults to pdf)
+// access  private (buyer or seller)
+router.get('/:orderId/receipt', orderValidator.orderIdValidator, orderValidator.receiptValidator, orderController.getOrderReceipt);
+
 // route   POST /api/orders/:orderId/cancel
 // desc    cancel order (buyer or seller)
 // access  private
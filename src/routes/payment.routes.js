@@ -0,0 +1,50 @@
+import express from 'express';
+import * as paymentController from '../controllers/payment.controller.js';
+import * as paymentValidator from '../validators/payment.validator.js';
+import { authenticate } from '../middleware/auth.js';
+import upload from '../middleware/upload.js';
+import config from '../config/config.js';
+
+const router = express.Router();
+
+// route   POST /api/payments/webhooks/:gateway
+// desc    receive signed payment gateway webhook
+// access  public (verified by signature)
+router.post('/webhooks/:gateway', paymentValidator.webhookValidator, paymentController.handleWebhook);
+
+// remaining routes are protected
+router.use(authenticate);
+
+// route   POST /api/payments/orders/:orderId/intent
+// desc    create payment intent for an e-wallet order
+// access  private (buyer only)
+router.post('/orders/:orderId/intent', paymentValidator.orderIdValidator, paymentController.createPaymentIntent);
+
+// route   GET /api/payments/orders/:orderId
+// desc    get payment status for an order
+// access  private (buyer or seller)
+router.get('/orders/:orderId', paymentValidator.orderIdValidator, paymentController.getOrderPayment);
+
+// route   POST /api/payments/orders/:orderId/proof
+// desc    upload proof of a manual e-wallet transfer
+// access  private (buyer only)
+router.post('/orders/:orderId/proof', upload.single('receipt'), paymentValidator.orderIdValidator, paymentValidator.submitPaymentProofValidator, paymentController.submitPaymentProof);
+
+// route   PATCH /api/payments/orders/:orderId/proof/review
+// desc    confirm or reject payment proof
+// access  private (seller only)
+router.patch('/orders/:orderId/proof/review', paymentValidator.orderIdValidator, paymentValidator.reviewPaymentProofValidator, paymentController.reviewPaymentProof);
+
+// route   POST /api/payments/orders/:orderId/proof/dispute
+// desc    dispute a payment proof rejection
+// access  private (buyer only)
+router.post('/orders/:orderId/proof/dispute', paymentValidator.orderIdValidator, paymentValidator.disputePaymentProofValidator, paymentController.disputePaymentProof);
+
+// route   POST /api/payments/mock/:gatewayReference/complete
+// desc    simulate the mock gateway completing a payment
+// access  private (buyer only; mock gateway with PAYMENT_MOCK_COMPLETION=true)
+if (config.payment.gateway === 'mock' && config.payment.mockCompletionEnabled) {
+  router.post('/mock/:gatewayReference/complete', paymentValidator.completeMockPaymentValidator, paymentController.completeMockPayment);
+}
+
+export default router;
@@ -18,6 +18,11 @@ router.get('/my/listings', productController.getMyListings);
 // access  private
 router.get('/featured', productController.getFeaturedProducts);
 
+// route   GET /api/products/categories
+// desc    get active category tree
+// access  private
+router.get('/categories', productController.getCategories);
+
 // route   GET /api/products/categories/counts
 // desc    get product categories with counts
 // access  private
@@ -33,6 +38,11 @@ router.get('/trending', productController.getTrendingProducts);
 // access  private
 router.get('/search', productValidator.searchValidator, productController.searchProducts);
 
+// route   GET /api/products/faceted-search
+// desc    get products with category, condition, price, shipping and rating facet counts
+// access  private
+router.get('/faceted-search', productValidator.facetedSearchValidator, productController.getFacetedProducts);
+
 // route   GET /api/products/:productId/similar
 // desc    get similar products
 // access  private
@@ -68,6 +78,21 @@ router.delete('/:productId', productValidator.productIdValidator, productControl
 // access  private (owner only)
 router.patch('/:productId/status', productValidator.productIdValidator, productValidator.updateStatusValidator, productController.updateProductStatus);
 
+// route   POST /api/products/:productId/renew
+// desc    renew listing and push back its expiry date
+// access  private (owner only)
+router.post('/:productId/renew', productValidator.productIdValidator, productValidator.renewProductValidator, productController.renewProduct);
+
+// route   GET /api/products/:productId/pre-orders
+// desc    get orders waiting on a pre-order batch
+// access  private (owner only)
+router.get('/:productId/pre-orders', productValidator.productIdValidator, productController.getPreOrderReservations);
+
+// route   POST /api/products/:productId/pre-orders/ready
+// desc    mark the pre-order batch ready and notify buyers
+// access  private (owner only)
+router.post('/:productId/pre-orders/ready', productValidator.productIdValidator, productValidator.preOrderBatchReadyValidator, productController.markPreOrderBatchReady);
+
 // route   POST /api/products/:productId/view
 // desc    increment product view count
 // access  private
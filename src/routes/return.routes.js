@@ -0,0 +1,41 @@
+import express from 'express';
+import * as returnController from '../controllers/return.controller.js';
+import * as returnValidator from '../validators/return.validator.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// all routes are protected
+router.use(authenticate);
+
+// route   GET /api/returns/my
+// desc    get user's return requests (as buyer or seller)
+// access  private
+router.get('/my', returnValidator.getReturnRequestsValidator, returnController.getMyReturnRequests);
+
+// route   POST /api/returns
+// desc    request a return for a completed order
+// access  private (buyer only)
+router.post('/', returnValidator.createReturnRequestValidator, returnController.createReturnRequest);
+
+// route   GET /api/returns/:returnId
+// desc    get single return request
+// access  private (buyer or seller)
+router.get('/:returnId', returnValidator.returnIdValidator, returnController.getReturnRequest);
+
+// route   PATCH /api/returns/:returnId/review
+// desc    approve or reject return request
+// access  private (seller only)
+router.patch('/:returnId/review', returnValidator.returnIdValidator, returnValidator.reviewReturnRequestValidator, returnController.reviewReturnRequest);
+
+// route   POST /api/returns/:returnId/received
+// desc    mark returned item as received and restore stock
+// access  private (seller only)
+router.post('/:returnId/received', returnValidator.returnIdValidator, returnValidator.returnNoteValidator, returnController.markItemsReturned);
+
+// route   POST /api/returns/:returnId/refund
+// desc    issue refund for returned item
+// access  private (seller only)
+router.post('/:returnId/refund', returnValidator.returnIdValidator, returnValidator.returnNoteValidator, returnController.refundReturnRequest);
+
+export default router;
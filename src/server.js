@@ -5,7 +5,13 @@ import connectDB from './config/database.js';
 import { testCloudinaryConnection } from './config/cloudinary.js';
 import { verifyEmailConnection } from './utils/emailService.js';
 import initializeSocket from './config/socket.js';
-import { startOrderAutoConfirmJob } from './utils/scheduler.js';
+import { seedDefaultCategories } from './services/category.service.js';
+import {
+  startOrderAutoConfirmJob,
+  startPendingOrderExpiryJob,
+  startMeetupReminderJob,
+  startListingScheduleJob,
+} from './utils/scheduler.js';
 
 // handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -20,6 +26,12 @@ const startServer = async () => {
     // connect to database
     await connectDB();
 
+    // seed the category taxonomy on first run
+    const seededCount = await seedDefaultCategories();
+    if (seededCount > 0) {
+      console.log(`Seeded ${seededCount} default categories`);
+    }
+
     // test cloudinary connection
     await testCloudinaryConnection();
 
@@ -37,6 +49,9 @@ const startServer = async () => {
 
     // start cron jobs
     startOrderAutoConfirmJob();
+    startPendingOrderExpiryJob();
+    startMeetupReminderJob();
+    startListingScheduleJob();
 
     // start listening
     const server = httpServer.listen(config.port, () => {
@@ -1,6 +1,7 @@
 import Cart from '../models/Cart.model.js';
 import Product from '../models/Product.model.js';
 import AppError from '../utils/AppError.js';
+import { calculateShippingFee } from '../utils/shippingUtils.js';
 
 // get user's cart
 // param {string} userId - user id
@@ -10,7 +11,7 @@ export const getCart = async (userId) => {
   let cart = await Cart.findOne({ user: userId })
     .populate({
       path: 'items.product',
-      select: 'name price images stock status seller category',
+      select: 'name price images stock status seller category options variants preOrder',
       populate: {
         path: 'seller',
         select: 'name profilePicture sellerInfo',
@@ -35,9 +36,10 @@ export const getCart = async (userId) => {
 // param {string} userId - user id
 // param {string} productId - product ID
 // param {number} quantity - quantity to add
+// param {string} variantId - chosen variant (variant listings only)
 // returns {Object} updated cart
 
-export const addToCart = async (userId, productId, quantity = 1) => {
+export const addToCart = async (userId, productId, quantity = 1, variantId = null) => {
   // verify product exists and is available
   const product = await Product.findById(productId);
 
@@ -49,7 +51,15 @@ export const addToCart = async (userId, productId, quantity = 1) => {
     throw new AppError('Product is not available', 400);
   }
 
-  if (product.stock < quantity) {
+  if (!product.isValidVariantSelection(variantId)) {
+    throw new AppError(
+      product.hasVariants ? 'Please choose an available option' : 'Product has no options to choose',
+      400
+    );
+  }
+
+  // pre-order listings are limited by their cap instead of stock
+  if (product.getAvailableQuantity(variantId) < quantity) {
     throw new AppError('Insufficient stock', 400);
   }
 
@@ -65,12 +75,12 @@ export const addToCart = async (userId, productId, quantity = 1) => {
   }
 
   // add item
-  await cart.addItem(productId, quantity);
+  await cart.addItem(productId, quantity, variantId);
 
   // populate and return
   await cart.populate({
     path: 'items.product',
-    select: 'name price images stock status seller',
+    select: 'name price images stock status seller options variants preOrder',
     populate: {
       path: 'seller',
       select: 'name profilePicture sellerInfo',
@@ -84,9 +94,10 @@ export const addToCart = async (userId, productId, quantity = 1) => {
 // param {string} userId - user id
 // param {string} productId - product ID
 // param {number} quantity - new quantity
+// param {string} variantId - variant of the cart line (variant listings only)
 // returns {Object} updated cart
 
-export const updateCartItem = async (userId, productId, quantity) => {
+export const updateCartItem = async (userId, productId, quantity, variantId = null) => {
   const cart = await Cart.findOne({ user: userId });
 
   if (!cart) {
@@ -99,16 +110,17 @@ export const updateCartItem = async (userId, productId, quantity) => {
     throw new AppError('Product not found', 404);
   }
 
-  if (quantity > product.stock) {
-    throw new AppError(`Only ${product.stock} items available`, 400);
+  const availableQuantity = product.getAvailableQuantity(variantId);
+  if (quantity > availableQuantity) {
+    throw new AppError(`Only ${availableQuantity} items available`, 400);
   }
 
   // update quantity
-  await cart.updateQuantity(productId, quantity);
+  await cart.updateQuantity(productId, quantity, variantId);
 
   await cart.populate({
     path: 'items.product',
-    select: 'name price images stock status seller',
+    select: 'name price images stock status seller options variants preOrder',
     populate: {
       path: 'seller',
       select: 'name profilePicture sellerInfo',
@@ -121,20 +133,21 @@ export const updateCartItem = async (userId, productId, quantity) => {
 // remove item from cart
 // param {string} userId - user id
 // param {string} productId - product ID
+// param {string} variantId - only remove this variant's line (optional)
 // returns {Object} updated cart
 
-export const removeFromCart = async (userId, productId) => {
+export const removeFromCart = async (userId, productId, variantId = null) => {
   const cart = await Cart.findOne({ user: userId });
 
   if (!cart) {
     throw new AppError('Cart not found', 404);
   }
 
-  await cart.removeItem(productId);
+  await cart.removeItem(productId, variantId);
 
   await cart.populate({
     path: 'items.product',
-    select: 'name price images stock status seller',
+    select: 'name price images stock status seller options variants preOrder',
     populate: {
       path: 'seller',
       select: 'name profilePicture sellerInfo',
@@ -168,7 +181,7 @@ export const getCartSummary = async (userId) => {
   const cart = await Cart.findOne({ user: userId })
     .populate({
       path: 'items.product',
-      select: 'name price images stock status seller',
+      select: 'name price images stock status seller options variants preOrder',
       populate: {
         path: 'seller',
         select: 'name profilePicture sellerInfo',
@@ -187,10 +200,43 @@ export const getCartSummary = async (userId) => {
   const subtotal = await cart.getTotal();
   const itemCount = cart.getItemCount();
 
+  // shipping fee lines per seller, in case the buyer picks shipping at checkout
+  const grouped = await cart.groupBySeller();
+  const shippingBySeller = Object.values(grouped).map(group => {
+    const unavailableItems = group.items
+      .filter(item => !item.shippingAvailable)
+      .map(item => item.productName);
+    const shippingAvailable = group.seller.sellerInfo.allowsShipping && unavailableItems.length === 0;
+
+    const { shippingFee, feeLines } = shippingAvailable
+      ? calculateShippingFee(
+          group.items.map(item => ({ ...item, product: item.product._id })),
+          group.seller.sellerInfo.shippingRules
+        )
+      : { shippingFee: 0, feeLines: [] };
+
+    return {
+      sellerId: group.sellerId,
+      sellerName: group.sellerName,
+      subtotal: group.subtotal,
+      shippingAvailable,
+      unavailableItems,
+      shippingFee,
+      feeLines,
+    };
+  });
+
+  const shippingFee = shippingBySeller.reduce((sum, seller) => sum + seller.shippingFee, 0);
+
   return {
     itemCount,
     subtotal,
     items: cart.items,
+    shipping: {
+      sellers: shippingBySeller,
+      shippingFee,
+      totalWithShipping: subtotal + shippingFee,
+    },
   };
 };
 
@@ -280,14 +326,19 @@ export const mergeGuestCart = async (userId, guestItems) => {
   // add guest items to cart
   for (const item of guestItems) {
     const product = await Product.findById(item.productId);
-    if (product && product.status === 'active' && product.stock > 0) {
-      await cart.addItem(item.productId, item.quantity);
+    if (
+      product &&
+      product.status === 'active' &&
+      product.isValidVariantSelection(item.variantId) &&
+      product.getAvailableQuantity(item.variantId) > 0
+    ) {
+      await cart.addItem(item.productId, item.quantity, item.variantId);
     }
   }
 
   await cart.populate({
     path: 'items.product',
-    select: 'name price images stock status seller',
+    select: 'name price images stock status seller options variants preOrder',
     populate: {
       path: 'seller',
       select: 'name profilePicture sellerInfo',
@@ -303,7 +354,7 @@ export const validateStock = async (items) => {
 
   const products = await Product.find({
     _id: { $in: productIds },
-  }).select('_id name stock status').lean();
+  }).select('_id name stock status preOrder options variants');
 
   // create a map for quick lookup
   const productMap = new Map(
@@ -341,8 +392,23 @@ export const validateStock = async (items) => {
       continue;
     }
 
-    if (product.stock === 0) {
-      // out of stock
+    if (!product.isValidVariantSelection(item.variantId)) {
+      // variant missing, removed, or given for a product without variants
+      invalidItems.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        productName: product.name,
+        requestedQuantity: item.quantity,
+        availableStock: 0,
+        reason: product.hasVariants ? 'Selected option is not available' : 'Product has no options',
+      });
+      continue;
+    }
+
+    const availableStock = product.getAvailableQuantity(item.variantId);
+
+    if (availableStock === 0) {
+      // out of stock (or pre-orders full)
       invalidItems.push({
         productId: item.productId,
         productName: product.name,
@@ -353,25 +419,26 @@ export const validateStock = async (items) => {
       continue;
     }
 
-    if (product.stock < item.quantity) {
+    if (availableStock < item.quantity) {
       // insufficient stock
       invalidItems.push({
         productId: item.productId,
         productName: product.name,
         requestedQuantity: item.quantity,
-        availableStock: product.stock,
-        reason: `Only ${product.stock} item(s) available`,
+        availableStock,
+        reason: `Only ${availableStock} item(s) available`,
       });
       continue;
     }
 
     // check for low stock warning
-    if (product.stock > 0 && product.stock < 5 && product.stock >= item.quantity) {
+    if (!product.isPreOrder && availableStock < 5 && availableStock >= item.quantity) {
       warnings.push({
         productId: item.productId,
+        variantId: item.variantId,
         productName: product.name,
-        availableStock: product.stock,
-        message: `Low stock: only ${product.stock} item(s) remaining`,
+        availableStock,
+        message: `Low stock: only ${availableStock} item(s) remaining`,
       });
     }
   }
@@ -0,0 +1,319 @@
+import Category from '../models/Category.model.js';
+import Product from '../models/Product.model.js';
+import AppError from '../utils/AppError.js';
+import {
+  DEFAULT_CATEGORY_MAP,
+  DEFAULT_CATEGORY_ATTRIBUTES,
+  getTaxonomy,
+  clearCategoryCache,
+} from '../utils/categoryUtils.js';
+
+// category taxonomy management
+// products store the name of a leaf category, so renaming or merging a leaf
+// also moves every product filed under it
+
+// find a category or fail
+const findCategory = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  return category;
+};
+
+// check whether a category has child categories
+const hasChildren = (categoryId) => {
+  return Category.exists({ parent: categoryId });
+};
+
+// leaf names must be unique across the whole tree since products refer to them by name
+const assertLeafNameAvailable = async (name, excludeId = null) => {
+  const { leaves } = await getTaxonomy();
+  const clash = leaves.find(
+    leaf => leaf.name === name && leaf._id.toString() !== excludeId?.toString()
+  );
+
+  if (clash) {
+    throw new AppError(`A category named "${name}" already exists`, 409);
+  }
+};
+
+// a category can only take children when no products are filed directly under it
+const assertCanBeParent = async (parentId, childId = null) => {
+  const parent = await findCategory(parentId);
+
+  // walk up from the new parent to make sure the child isn't one of its ancestors
+  let ancestor = parent;
+  while (ancestor) {
+    if (childId && ancestor._id.toString() === childId.toString()) {
+      throw new AppError('A category cannot be moved under itself or its subcategories', 400);
+    }
+    ancestor = ancestor.parent ? await Category.findById(ancestor.parent) : null;
+  }
+
+  const productCount = await Product.countDocuments({ category: parent.name });
+  if (productCount > 0 && !(await hasChildren(parent._id))) {
+    throw new AppError(
+      `"${parent.name}" has ${productCount} product(s) filed under it. Merge it into another category first`,
+      409
+    );
+  }
+
+  return parent;
+};
+
+// turn the flat taxonomy into a nested tree
+const buildTree = (taxonomy, parentId, includeInactive) => {
+  const children = taxonomy.children.get(parentId) || [];
+
+  return children
+    .filter(category => includeInactive || category.isActive)
+    .map(category => ({
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      icon: category.icon,
+      displayOrder: category.displayOrder,
+      isActive: category.isActive,
+      attributes: category.attributes || [],
+      children: buildTree(taxonomy, category._id.toString(), includeInactive),
+    }));
+};
+
+
+// get the category tree
+// param {boolean} includeInactive - include deactivated categories (admin)
+// returns {Array} top-level categories with nested children
+
+export const getCategoryTree = async (includeInactive = false) => {
+  const taxonomy = await getTaxonomy();
+  return buildTree(taxonomy, null, includeInactive);
+};
+
+
+// create category (admin only)
+// param {string} adminId - admin user ID
+// param {Object} categoryData - { name, slug, parent, icon, displayOrder, attributes }
+// returns {Object} created category
+
+export const createCategory = async (adminId, categoryData) => {
+  const { name, slug, parent = null, icon, displayOrder, attributes } = categoryData;
+
+  if (parent) {
+    await assertCanBeParent(parent);
+  }
+
+  const existing = await Category.findOne({ parent, name });
+  if (existing) {
+    throw new AppError('A category with this name already exists here', 409);
+  }
+
+  // new categories start out as leaves (and the parent stops being one)
+  await assertLeafNameAvailable(name, parent);
+
+  const category = await Category.create({
+    name,
+    slug,
+    parent,
+    icon,
+    displayOrder,
+    attributes,
+    createdBy: adminId,
+  });
+
+  clearCategoryCache();
+
+  return category;
+};
+
+
+// update category (admin only)
+// renaming a leaf category moves its products to the new name. changing the
+// attribute schema leaves existing product values alone; they are checked
+// against the new schema the next time the product is edited
+// param {string} categoryId - category ID
+// param {Object} updates - { name, slug, parent, icon, displayOrder, isActive, attributes }
+// returns {Object} updated category and number of products migrated
+
+export const updateCategory = async (categoryId, updates) => {
+  const category = await findCategory(categoryId);
+  const isLeaf = !(await hasChildren(category._id));
+  const oldName = category.name;
+
+  if (updates.parent !== undefined && String(updates.parent) !== String(category.parent)) {
+    if (updates.parent) {
+      await assertCanBeParent(updates.parent, category._id);
+    }
+  }
+
+  if (updates.name !== undefined && updates.name !== oldName && isLeaf) {
+    await assertLeafNameAvailable(updates.name, category._id);
+  }
+
+  const allowedUpdates = ['name', 'slug', 'parent', 'icon', 'displayOrder', 'isActive', 'attributes'];
+
+  allowedUpdates.forEach((field) => {
+    if (updates[field] !== undefined) {
+      category[field] = updates[field];
+    }
+  });
+
+  try {
+    await category.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('A category with this name or slug already exists here', 409);
+    }
+    throw error;
+  }
+
+  clearCategoryCache();
+
+  // migrate products filed under the old name
+  // (their search embeddings pick up the new name the next time they are edited)
+  let migratedCount = 0;
+  if (isLeaf && category.name !== oldName) {
+    const result = await Product.updateMany({ category: oldName }, { category: category.name });
+    migratedCount = result.modifiedCount;
+  }
+
+  return {
+    category,
+    migratedCount,
+  };
+};
+
+
+// merge one category into another (admin only)
+// leaves: products move to the target. parents: subcategories move under the target.
+// the source category is deleted afterwards
+// param {string} sourceId - category being merged away
+// param {string} targetId - category that remains
+// returns {Object} target category and counts
+
+export const mergeCategory = async (sourceId, targetId) => {
+  if (sourceId === targetId) {
+    throw new AppError('A category cannot be merged into itself', 400);
+  }
+
+  const source = await findCategory(sourceId);
+  const target = await findCategory(targetId);
+
+  const sourceIsLeaf = !(await hasChildren(source._id));
+  const targetIsLeaf = !(await hasChildren(target._id));
+
+  if (sourceIsLeaf !== targetIsLeaf) {
+    throw new AppError(
+      'Categories can only be merged with one of the same kind (subcategory into subcategory, or group into group)',
+      400
+    );
+  }
+
+  let migratedCount = 0;
+  let movedCategoryCount = 0;
+
+  if (sourceIsLeaf) {
+    const result = await Product.updateMany({ category: source.name }, { category: target.name });
+    migratedCount = result.modifiedCount;
+  } else {
+    // make sure the target isn't below the source before moving the children
+    await assertCanBeParent(target._id, source._id);
+
+    const children = await Category.find({ parent: source._id });
+    const targetChildNames = new Set(
+      (await Category.find({ parent: target._id }).select('name')).map(child => child.name)
+    );
+
+    const clash = children.find(child => targetChildNames.has(child.name));
+    if (clash) {
+      throw new AppError(
+        `"${target.name}" already has a subcategory named "${clash.name}". Merge those first`,
+        409
+      );
+    }
+
+    const result = await Category.updateMany({ parent: source._id }, { parent: target._id });
+    movedCategoryCount = result.modifiedCount;
+  }
+
+  await source.deleteOne();
+
+  clearCategoryCache();
+
+  return {
+    category: target,
+    migratedCount,
+    movedCategoryCount,
+  };
+};
+
+
+// delete category (admin only)
+// only empty categories can be deleted; merge or deactivate the rest
+// param {string} categoryId - category ID
+// returns {Object} deleted category
+
+export const deleteCategory = async (categoryId) => {
+  const category = await findCategory(categoryId);
+
+  if (await hasChildren(category._id)) {
+    throw new AppError('Category has subcategories. Move or merge them first', 409);
+  }
+
+  const productCount = await Product.countDocuments({ category: category.name });
+  if (productCount > 0) {
+    throw new AppError(
+      `Category has ${productCount} product(s). Merge it into another category or deactivate it instead`,
+      409
+    );
+  }
+
+  await category.deleteOne();
+
+  clearCategoryCache();
+
+  return category;
+};
+
+
+// seed the default taxonomy into an empty collection (called on startup)
+// returns {number} number of categories created
+
+export const seedDefaultCategories = async () => {
+  if (await Category.exists({})) {
+    return 0;
+  }
+
+  let createdCount = 0;
+  let displayOrder = 0;
+
+  for (const [mainCategory, subcategories] of Object.entries(DEFAULT_CATEGORY_MAP)) {
+    const parent = await Category.create({ name: mainCategory, displayOrder: displayOrder++ });
+    createdCount++;
+
+    await Category.insertMany(
+      subcategories.map((name, index) => ({
+        name,
+        parent: parent._id,
+        displayOrder: index,
+        attributes: DEFAULT_CATEGORY_ATTRIBUTES[name] || [],
+      }))
+    );
+    createdCount += subcategories.length;
+  }
+
+  clearCategoryCache();
+
+  return createdCount;
+};
+
+export default {
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  deleteCategory,
+  seedDefaultCategories,
+};
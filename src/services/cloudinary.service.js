@@ -166,6 +166,22 @@ export const uploadProfilePicture = async (fileBuffer, userId) => {
 };
 
 
+// upload payment proof (receipt screenshot)
+// param {Buffer} fileBuffer
+// param {string} orderId - order ID
+// returns {Object} upload result
+
+export const uploadPaymentProof = async (fileBuffer, orderId) => {
+  return uploadImage(fileBuffer, {
+    folder: `animomart/payment-proofs/${orderId}`,
+    transformation: [
+      { width: 1600, height: 1600, crop: 'limit' },
+      { quality: 'auto' },
+    ],
+  });
+};
+
+
 // upload product images
 // param {Array} files - array of files
 // param {string} sellerId - Seller ID
@@ -242,6 +258,7 @@ export default {
   deleteMultipleImages,
   extractPublicId,
   uploadProfilePicture,
+  uploadPaymentProof,
   uploadProductImages,
   deleteProductImages,
   replaceProductImages,
@@ -0,0 +1,52 @@
+import config from '../config/config.js';
+import AppError from '../utils/AppError.js';
+import fileCourier from './fileCourier.service.js';
+
+// courier tracking adapter registry
+//
+// every courier adapter is a plain object implementing:
+//   name                          - key used in config.courier.adapter
+//   getTracking(trackingNumber)   - returns { events: [{ status, description, location, occurredAt }] }
+//                                   status is one of the Order shipment event statuses
+//   getTrackingUrl(trackingNumber)
+//                                 - returns a url the buyer can open, or null
+//
+// adapters only translate courier formats; merging events into the order
+// happens in the order service
+
+const couriers = new Map();
+
+// register a courier adapter
+// param {Object} courier - adapter implementing the interface above
+
+export const registerCourier = (courier) => {
+  const requiredMethods = ['getTracking', 'getTrackingUrl'];
+  const missing = requiredMethods.filter(method => typeof courier[method] !== 'function');
+
+  if (!courier.name || missing.length > 0) {
+    throw new Error(`Invalid courier adapter: missing ${missing.join(', ') || 'name'}`);
+  }
+
+  couriers.set(courier.name, courier);
+};
+
+// get a courier adapter by name (defaults to the configured adapter)
+// param {string} name - adapter name
+// returns {Object} courier adapter
+
+export const getCourier = (name = config.courier.adapter) => {
+  const courier = couriers.get(name);
+
+  if (!courier) {
+    throw new AppError(`Courier adapter "${name}" is not available`, 400);
+  }
+
+  return courier;
+};
+
+registerCourier(fileCourier);
+
+export default {
+  registerCourier,
+  getCourier,
+};
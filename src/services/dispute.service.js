@@ -0,0 +1,413 @@
+import Dispute from '../models/Dispute.model.js';
+import Order from '../models/Order.model.js';
+import Message from '../models/Message.model.js';
+import ReturnRequest from '../models/ReturnRequest.model.js';
+import User from '../models/User.model.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/config.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
+import { refundOrderPayment } from './payment.service.js';
+import { canTransition, transitionOrder } from './orderStateMachine.service.js';
+import { sendDisputeEmail } from '../utils/emailService.js';
+
+// max messages copied into a dispute
+const CONVERSATION_SNAPSHOT_LIMIT = 200;
+
+// email both parties about a dispute
+const notifyParties = async (order, message) => {
+  const parties = await User.find({ _id: { $in: [order.buyer, order.getSeller()] } })
+    .select('email name');
+
+  for (const party of parties) {
+    if (party.email) {
+      try {
+        await sendDisputeEmail(party.email, order.orderNumber, party.name, message);
+      } catch (emailError) {
+        console.error('failed to send dispute email:', emailError.message);
+      }
+    }
+  }
+};
+
+// buyer wins: cancel (or refund a completed order) and reverse the seller's credit
+const ruleForBuyer = async (order, adminId, resolution) => {
+  const note = `dispute ruled for buyer: ${resolution}`;
+
+  if (order.status === 'completed') {
+    // returns may have refunded (and reversed the credit for) part of the order already
+    const creditedAmount = order.items.reduce(
+      (sum, item) => sum + item.price * item.quantity,
+      0
+    );
+    const remainingCredit = Math.max(creditedAmount - (order.refundedAmount || 0), 0);
+
+    if (order.refundableAmount > 0) {
+      await refundOrderPayment(order, order.refundableAmount, adminId);
+    }
+
+    const seller = await User.findById(order.getSeller());
+    if (seller && remainingCredit > 0) {
+      await seller.decrementSales(remainingCredit);
+    }
+
+    order.statusHistory.push({ status: order.status, updatedBy: adminId, note });
+    return order.save();
+  }
+
+  // the order was cancelled while the dispute was being opened, and the
+  // cancellation already released the stock and refunded the payment
+  if (order.status === 'cancelled') {
+    order.statusHistory.push({ status: order.status, updatedBy: adminId, note });
+    return order.save();
+  }
+
+  // cancelling refunds whatever was paid (the whole order or just the deposit);
+  // both parties get the resolution email instead of the status email
+  return transitionOrder(order, 'cancelled', {
+    actor: 'admin',
+    userId: adminId,
+    note,
+    notify: false,
+  });
+};
+
+// seller wins: a disputed transfer proof counts as paid and a handed-over
+// order is completed (a pre-order balance only counts as paid when the
+// ruling says it was received)
+const ruleForSeller = async (order, adminId, resolution, balanceReceived = false) => {
+  const note = `dispute ruled for seller: ${resolution}`;
+  const proofDisputed = order.paymentProof?.status === 'disputed';
+
+  if (proofDisputed) {
+    order.paymentProof.status = 'confirmed';
+  }
+
+  if (proofDisputed && order.isAwaitingDeposit) {
+    // the transfer was the deposit, the balance is still owed
+    order.deposit.paidAmount = order.deposit.amount;
+    order.deposit.paidAt = new Date();
+    order.paymentStatus = order.deposit.amount >= order.totalAmount ? 'confirmed' : 'partially_paid';
+  } else if (proofDisputed && ['pending', 'failed'].includes(order.paymentStatus)) {
+    order.paymentStatus = 'confirmed';
+  } else if (balanceReceived && order.paymentStatus === 'partially_paid') {
+    order.paymentStatus = 'confirmed';
+  }
+
+  if (canTransition(order, 'completed', 'admin')) {
+    order.buyerConfirmed = true;
+
+    return transitionOrder(order, 'completed', {
+      actor: 'admin',
+      userId: adminId,
+      note,
+      notify: false,
+    });
+  }
+
+  order.statusHistory.push({ status: order.status, updatedBy: adminId, note });
+  return order.save();
+};
+
+
+// open a dispute on an order (buyer or seller)
+// param {string} orderId - order ID
+// param {string} userId - buyer or seller user ID
+// param {Object} disputeData - { reason, description, evidence }
+// returns {Object} created dispute
+
+export const openDispute = async (orderId, userId, disputeData) => {
+  const { reason, description, evidence = [] } = disputeData;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const buyerId = order.buyer.toString();
+  const sellerId = order.getSeller().toString();
+
+  if (userId !== buyerId && userId !== sellerId) {
+    throw new AppError('Only the buyer or seller can dispute this order', 403);
+  }
+
+  if (order.status === 'cancelled') {
+    throw new AppError('Cancelled orders cannot be disputed', 400);
+  }
+
+  if (order.paymentStatus === 'refunded') {
+    throw new AppError('Refunded orders cannot be disputed', 400);
+  }
+
+  // completed orders can only be disputed for a while, like returns
+  if (order.status === 'completed') {
+    const windowEnd = new Date(
+      order.completedAt.getTime() + config.disputeWindowDays * 24 * 60 * 60 * 1000
+    );
+
+    if (new Date() > windowEnd) {
+      throw new AppError(
+        `Disputes must be opened within ${config.disputeWindowDays} days of completion`,
+        400
+      );
+    }
+  }
+
+  // claim the order before creating the dispute so two requests can't both
+  // open one (the unique index on unresolved disputes backs this up)
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, isDisputed: { $ne: true } },
+    { $set: { isDisputed: true } }
+  );
+
+  if (!claimed) {
+    throw new AppError('This order already has an open dispute', 400);
+  }
+
+  let dispute;
+
+  try {
+    // a return settles the same items, so it has to finish first. checked
+    // after the claim, so a return created meanwhile finds the dispute instead
+    if (await ReturnRequest.hasOpenRequest(order._id)) {
+      throw new AppError('This order has an open return request', 400);
+    }
+
+    // snapshot the conversation so later edits or deletions don't change the evidence
+    const messages = await Message.find({
+      conversationId: Message.generateConversationId(buyerId, sellerId),
+    })
+      .sort({ createdAt: -1 })
+      .limit(CONVERSATION_SNAPSHOT_LIMIT)
+      .lean();
+
+    dispute = await Dispute.create({
+      order: order._id,
+      buyer: order.buyer,
+      seller: order.getSeller(),
+      openedBy: userId,
+      reason,
+      description,
+      evidence,
+      orderHistory: order.statusHistory.map(entry => ({
+        status: entry.status,
+        updatedBy: entry.updatedBy,
+        timestamp: entry.timestamp,
+        note: entry.note,
+      })),
+      conversation: messages.reverse().map(message => ({
+        sender: message.sender,
+        messageText: message.messageText,
+        images: message.image ? [message.image, ...message.images] : message.images,
+        createdAt: message.createdAt,
+      })),
+    });
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $set: { isDisputed: false } });
+
+    if (error.code === 11000) {
+      throw new AppError('This order already has an open dispute', 400);
+    }
+    throw error;
+  }
+
+  order.isDisputed = true;
+  order.statusHistory.push({
+    status: order.status,
+    updatedBy: userId,
+    timestamp: new Date(),
+    note: `dispute opened: ${reason}`,
+  });
+  await order.save();
+
+  await notifyParties(order, 'A dispute has been opened on this order. An admin will review it shortly.');
+
+  return dispute;
+};
+
+
+// get single dispute (parties or admin)
+// param {string} disputeId - dispute ID
+// param {Object} user - requesting user
+// returns {Object} dispute
+
+export const getDispute = async (disputeId, user) => {
+  const dispute = await Dispute.findById(disputeId)
+    .populate('order')
+    .populate('buyer', 'name email profilePicture')
+    .populate('seller', 'name email profilePicture')
+    .populate('openedBy', 'name')
+    .populate('resolvedBy', 'name')
+    .populate('conversation.sender', 'name profilePicture');
+
+  if (!dispute) {
+    throw new AppError('Dispute not found', 404);
+  }
+
+  const userId = user._id.toString();
+  const isParty = dispute.buyer._id.toString() === userId ||
+                  dispute.seller._id.toString() === userId;
+
+  if (!isParty && user.role !== 'admin') {
+    throw new AppError('You do not have access to this dispute', 403);
+  }
+
+  return dispute;
+};
+
+
+// get disputes the user is part of
+// param {string} userId - user id
+// param {Object} filters - { status, page, limit }
+// returns {Object} disputes and pagination
+
+export const getUserDisputes = async (userId, filters = {}) => {
+  const { status, page = 1, limit = 20 } = filters;
+
+  const query = { $or: [{ buyer: userId }, { seller: userId }] };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const disputes = await Dispute.find(query)
+    .select('-conversation -orderHistory')
+    .populate('order', 'orderNumber status totalAmount')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Dispute.countDocuments(query);
+
+  return {
+    disputes,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDisputes: total,
+    },
+  };
+};
+
+
+// get all disputes (admin only)
+// param {Object} filters - { status, page or cursor, limit }
+// returns {Object} disputes and pagination
+
+export const getAllDisputes = async (filters = {}) => {
+  const { status, cursor, page, limit } = filters;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const paging = getPaginationOptions({ cursor, page, limit });
+
+  const docs = await Dispute.find(applyCursor(query, paging))
+    .select('-conversation -orderHistory')
+    .populate('order', 'orderNumber status totalAmount paymentMethod paymentStatus')
+    .populate('buyer', 'name email')
+    .populate('seller', 'name email')
+    .populate('openedBy', 'name')
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
+
+  const { items: disputes, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Dispute.countDocuments(query),
+    totalKey: 'totalDisputes',
+  });
+
+  return {
+    disputes,
+    pagination,
+  };
+};
+
+
+// mark dispute as under review (admin only)
+// param {string} disputeId - dispute ID
+// returns {Object} updated dispute
+
+export const reviewDispute = async (disputeId) => {
+  // conditional update so a dispute being resolved can't be moved back
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: 'open' },
+    { $set: { status: 'under_review' } },
+    { new: true }
+  );
+
+  if (!dispute) {
+    const existing = await Dispute.findById(disputeId).select('status');
+
+    if (!existing) {
+      throw new AppError('Dispute not found', 404);
+    }
+    throw new AppError(`Dispute is already ${existing.status}`, 400);
+  }
+
+  return dispute;
+};
+
+
+// rule on a dispute and update the order and payment to match (admin only)
+// param {string} disputeId - dispute ID
+// param {string} adminId - admin user ID
+// param {string} ruling - 'buyer' or 'seller'
+// param {string} resolution - explanation of the ruling
+// param {Object} options - { balanceReceived } seller rulings on pre-orders:
+//   the unpaid balance was received
+// returns {Object} resolved dispute
+
+export const resolveDispute = async (disputeId, adminId, ruling, resolution, options = {}) => {
+  const { balanceReceived = false } = options;
+
+  // claim the dispute first so two admin submissions can't both apply a
+  // ruling (and refund twice); returns the dispute as it was before the claim
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: disputeId, status: { $in: ['open', 'under_review'] } },
+    { $set: { status: 'resolving' } }
+  );
+
+  if (!dispute) {
+    if (await Dispute.exists({ _id: disputeId })) {
+      throw new AppError('Dispute has already been resolved', 400);
+    }
+    throw new AppError('Dispute not found', 404);
+  }
+
+  let order;
+
+  try {
+    order = await Order.findById(dispute.order);
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    order.isDisputed = false;
+
+    if (ruling === 'buyer') {
+      await ruleForBuyer(order, adminId, resolution);
+    } else {
+      await ruleForSeller(order, adminId, resolution, balanceReceived);
+    }
+  } catch (error) {
+    // hand the dispute back so the ruling can be retried
+    await Dispute.updateOne({ _id: dispute._id }, { $set: { status: dispute.status } });
+    throw error;
+  }
+
+  await dispute.resolve(adminId, ruling, resolution);
+
+  await notifyParties(order, `The dispute on this order has been resolved in favor of the ${ruling}. ${resolution}`);
+
+  return dispute;
+};
+
+export default {
+  openDispute,
+  getDispute,
+  getUserDisputes,
+  getAllDisputes,
+  reviewDispute,
+  resolveDispute,
+};
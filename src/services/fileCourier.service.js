@@ -0,0 +1,48 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+
+// file-based fake courier for development and tests
+// reads tracking events from config.courier.fakeDataFile, e.g.
+//   { "JT123456": [{ "status": "in_transit", "description": "Arrived at hub",
+//                    "location": "Lipa City", "occurredAt": "2025-01-01T08:00:00Z" }] }
+// edit the file to simulate courier progress
+
+// read the fake tracking data (missing or invalid file means no events)
+const readTrackingData = async () => {
+  try {
+    const filePath = path.resolve(process.cwd(), config.courier.fakeDataFile);
+    const contents = await readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('failed to read fake courier data:', error.message);
+    }
+    return {};
+  }
+};
+
+// get tracking events for a shipment
+// param {string} trackingNumber - courier tracking number
+// returns {Object} { events: [{ status, description, location, occurredAt }] }
+
+const getTracking = async (trackingNumber) => {
+  const data = await readTrackingData();
+  const events = Array.isArray(data[trackingNumber]) ? data[trackingNumber] : [];
+
+  return { events };
+};
+
+// build a tracking link for the buyer
+// param {string} trackingNumber - courier tracking number
+// returns {string} tracking url
+
+const getTrackingUrl = (trackingNumber) => {
+  return `${config.frontendUrl}/tracking/${encodeURIComponent(trackingNumber)}`;
+};
+
+export default {
+  name: 'file',
+  getTracking,
+  getTrackingUrl,
+};
@@ -0,0 +1,573 @@
+import MeetupLocation from '../models/MeetupLocation.model.js';
+import Order from '../models/Order.model.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/config.js';
+import { transitionOrder } from './orderStateMachine.service.js';
+import { sendMeetupUpdateEmail, sendMeetupReminderEmail } from '../utils/emailService.js';
+
+// order statuses where the meetup can still be scheduled or moved
+const SCHEDULABLE_STATUSES = ['processing', 'ready'];
+
+// format a slot for emails and history notes
+const formatSlot = (slot) => {
+  return new Date(slot.startTime).toLocaleString('en-PH', { timeZone: 'Asia/Manila' });
+};
+
+// prefix of the QR payload that wraps a handover code
+const HANDOVER_QR_PREFIX = 'animomart:handover';
+
+// load a meetup order and work out the user's side of it
+const getMeetupOrder = async (orderId, userId, select = null) => {
+  const query = Order.findById(orderId);
+
+  if (select) {
+    query.select(select);
+  }
+
+  const order = await query
+    .populate('buyer', 'email name')
+    .populate('items.seller', 'email name');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.deliveryMethod !== 'meetup') {
+    throw new AppError('Meetup scheduling is only available for meetup orders', 400);
+  }
+
+  const seller = order.items[0]?.seller;
+  const isBuyer = order.buyer._id.toString() === userId;
+  const isSeller = seller?._id.toString() === userId;
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('You do not have access to this order', 403);
+  }
+
+  return { order, seller, isBuyer, isSeller };
+};
+
+// check the order can still be scheduled
+const assertSchedulable = (order) => {
+  if (!SCHEDULABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`Meetup cannot be scheduled for ${order.status} orders`, 400);
+  }
+
+  if (order.isDisputed) {
+    throw new AppError('Meetup cannot be changed while a dispute is open', 400);
+  }
+};
+
+// check proposed slots are in the future and well formed
+const validateSlots = (slots) => {
+  const { maxProposedSlots } = config.meetup;
+
+  if (!slots || slots.length === 0) {
+    throw new AppError('At least one meetup slot is required', 400);
+  }
+
+  if (slots.length > maxProposedSlots) {
+    throw new AppError(`No more than ${maxProposedSlots} meetup slots can be proposed`, 400);
+  }
+
+  const now = new Date();
+
+  return slots.map((slot) => {
+    const startTime = new Date(slot.startTime);
+    const endTime = new Date(slot.endTime);
+
+    if (startTime <= now) {
+      throw new AppError('Meetup slots must be in the future', 400);
+    }
+
+    if (endTime <= startTime) {
+      throw new AppError('Meetup slot must end after it starts', 400);
+    }
+
+    return { startTime, endTime };
+  });
+};
+
+// load an active meetup location
+const getActiveLocation = async (locationId) => {
+  const location = await MeetupLocation.findById(locationId);
+
+  if (!location || !location.isActive) {
+    throw new AppError('Meetup location not found', 404);
+  }
+
+  return location;
+};
+
+// replace the proposal on an order
+const applyProposal = async (order, sellerId, locationId, slots) => {
+  const targetLocation = locationId || order.meetupSchedule.location;
+
+  if (!targetLocation) {
+    throw new AppError('Meetup location is required', 400);
+  }
+
+  const location = await getActiveLocation(targetLocation);
+
+  order.meetupSchedule.status = 'proposed';
+  order.meetupSchedule.location = location._id;
+  order.meetupSchedule.locationName = location.name;
+  order.meetupSchedule.proposedSlots = validateSlots(slots);
+  order.meetupSchedule.proposedBy = sellerId;
+  order.meetupSchedule.proposedAt = new Date();
+};
+
+// accept either the bare code or a scanned QR payload for this order
+const parseHandoverInput = (order, input) => {
+  const value = String(input).trim();
+
+  if (!value.startsWith(`${HANDOVER_QR_PREFIX}:`)) {
+    return value;
+  }
+
+  const [, , payloadOrderId, code] = value.split(':');
+
+  if (payloadOrderId !== order._id.toString()) {
+    throw new AppError('This QR code belongs to a different order', 400);
+  }
+
+  return code;
+};
+
+// email a meetup update to one party
+const notifyParty = async (recipient, orderNumber, message) => {
+  if (recipient?.email) {
+    try {
+      await sendMeetupUpdateEmail(recipient.email, orderNumber, recipient.name, message);
+    } catch (emailError) {
+      console.error('failed to send meetup update email:', emailError.message);
+    }
+  }
+};
+
+
+// get active meetup locations (admins can include retired ones)
+// param {boolean} includeInactive - include deactivated locations
+// returns {Array} meetup locations
+
+export const getMeetupLocations = async (includeInactive = false) => {
+  if (includeInactive) {
+    return MeetupLocation.find().sort({ name: 1 });
+  }
+
+  return MeetupLocation.findActive();
+};
+
+
+// create meetup location (admin only)
+// param {string} adminId - admin user ID
+// param {Object} locationData - { name, building, description }
+// returns {Object} created location
+
+export const createMeetupLocation = async (adminId, locationData) => {
+  const { name, building, description } = locationData;
+
+  const existing = await MeetupLocation.findOne({ name });
+  if (existing) {
+    throw new AppError('A meetup location with this name already exists', 409);
+  }
+
+  return MeetupLocation.create({
+    name,
+    building,
+    description,
+    createdBy: adminId,
+  });
+};
+
+
+// update meetup location (admin only)
+// param {string} locationId - location ID
+// param {Object} updates - { name, building, description, isActive }
+// returns {Object} updated location
+
+export const updateMeetupLocation = async (locationId, updates) => {
+  const location = await MeetupLocation.findById(locationId);
+
+  if (!location) {
+    throw new AppError('Meetup location not found', 404);
+  }
+
+  const allowedUpdates = ['name', 'building', 'description', 'isActive'];
+
+  allowedUpdates.forEach((field) => {
+    if (updates[field] !== undefined) {
+      location[field] = updates[field];
+    }
+  });
+
+  await location.save();
+
+  return location;
+};
+
+
+// deactivate meetup location (admin only)
+// orders keep a copy of the name, so locations are retired rather than deleted
+// param {string} locationId - location ID
+// returns {Object} deactivated location
+
+export const deactivateMeetupLocation = async (locationId) => {
+  return updateMeetupLocation(locationId, { isActive: false });
+};
+
+
+// get meetup schedule for an order
+// param {string} orderId - order ID
+// param {string} userId - buyer or seller user ID
+// returns {Object} meetup schedule
+
+export const getMeetupSchedule = async (orderId, userId) => {
+  const { order } = await getMeetupOrder(orderId, userId);
+
+  await order.populate('meetupSchedule.location', 'name building description');
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    meetupLocation: order.meetupLocation,
+    meetupSchedule: order.meetupSchedule,
+    buyerConfirmationDeadline: order.buyerConfirmationDeadline,
+  };
+};
+
+
+// propose meetup time slots (seller only)
+// param {string} orderId - order ID
+// param {string} userId - seller user ID
+// param {Object} proposal - { locationId, slots: [{ startTime, endTime }] }
+// returns {Object} updated order
+
+export const proposeMeetupSlots = async (orderId, userId, proposal) => {
+  const { order, isSeller } = await getMeetupOrder(orderId, userId);
+
+  if (!isSeller) {
+    throw new AppError('Only the seller can propose meetup slots', 403);
+  }
+
+  if (order.status !== 'processing') {
+    throw new AppError('Accept the order before proposing meetup slots', 400);
+  }
+
+  assertSchedulable(order);
+
+  if (order.meetupSchedule?.status === 'accepted') {
+    throw new AppError('A meetup slot has already been accepted. Reschedule to change it', 400);
+  }
+
+  await applyProposal(order, userId, proposal.locationId, proposal.slots);
+  await order.save();
+
+  await notifyParty(
+    order.buyer,
+    order.orderNumber,
+    `The seller proposed ${order.meetupSchedule.proposedSlots.length} meetup slot(s) at ${order.meetupSchedule.locationName}. Please pick one.`
+  );
+
+  return order;
+};
+
+
+// accept one of the proposed slots (buyer only)
+// moves the order to ready and starts the confirmation window from the meetup
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// param {string} slotId - proposed slot ID
+// returns {Object} updated order
+
+export const acceptMeetupSlot = async (orderId, userId, slotId) => {
+  const { order, seller, isBuyer } = await getMeetupOrder(orderId, userId);
+
+  if (!isBuyer) {
+    throw new AppError('Only the buyer can accept a meetup slot', 403);
+  }
+
+  assertSchedulable(order);
+
+  if (order.meetupSchedule?.status !== 'proposed') {
+    throw new AppError('There is no meetup proposal to accept', 400);
+  }
+
+  const slot = order.meetupSchedule.proposedSlots.id(slotId);
+
+  if (!slot) {
+    throw new AppError('Meetup slot not found', 404);
+  }
+
+  if (slot.startTime <= new Date()) {
+    throw new AppError('This meetup slot has already passed. Ask the seller to reschedule', 400);
+  }
+
+  order.meetupSchedule.status = 'accepted';
+  order.meetupSchedule.acceptedSlot = { startTime: slot.startTime, endTime: slot.endTime };
+  order.meetupSchedule.acceptedAt = new Date();
+  order.meetupSchedule.reminderSentAt = undefined;
+
+  const note = `meetup set for ${formatSlot(slot)} at ${order.meetupSchedule.locationName}`;
+
+  await transitionOrder(order, 'ready', {
+    actor: 'system',
+    userId,
+    note,
+    notify: false,
+  });
+
+  const message = `Your meetup is confirmed for ${formatSlot(slot)} at ${order.meetupSchedule.locationName}.`;
+  await notifyParty(order.buyer, order.orderNumber, message);
+  await notifyParty(seller, order.orderNumber, message);
+
+  return order;
+};
+
+
+// reschedule the meetup (buyer or seller)
+// the seller may include new slots; otherwise the seller is asked to propose again
+// param {string} orderId - order ID
+// param {string} userId - buyer or seller user ID
+// param {Object} rescheduleData - { reason, locationId, slots }
+// returns {Object} updated order
+
+export const rescheduleMeetup = async (orderId, userId, rescheduleData) => {
+  const { reason, locationId, slots } = rescheduleData;
+  const { order, seller, isSeller } = await getMeetupOrder(orderId, userId);
+
+  assertSchedulable(order);
+
+  if (!['proposed', 'accepted'].includes(order.meetupSchedule?.status)) {
+    throw new AppError('There is no meetup to reschedule', 400);
+  }
+
+  if (slots && slots.length > 0 && !isSeller) {
+    throw new AppError('Only the seller can propose meetup slots', 403);
+  }
+
+  const previousSlot = order.meetupSchedule.acceptedSlot?.startTime
+    ? {
+        startTime: order.meetupSchedule.acceptedSlot.startTime,
+        endTime: order.meetupSchedule.acceptedSlot.endTime,
+      }
+    : undefined;
+
+  order.meetupSchedule.reschedules.push({
+    requestedBy: userId,
+    reason,
+    previousSlot,
+  });
+
+  order.meetupSchedule.acceptedSlot = undefined;
+  order.meetupSchedule.acceptedAt = undefined;
+  order.meetupSchedule.reminderSentAt = undefined;
+
+  if (slots && slots.length > 0) {
+    await applyProposal(order, userId, locationId, slots);
+  } else {
+    order.meetupSchedule.status = 'reschedule_requested';
+    order.meetupSchedule.proposedSlots = [];
+  }
+
+  // a rescheduled meetup is no longer ready for handover
+  if (order.status === 'ready') {
+    await transitionOrder(order, 'processing', {
+      actor: 'system',
+      userId,
+      note: `meetup rescheduled: ${reason}`,
+      notify: false,
+    });
+  } else {
+    await order.save();
+  }
+
+  const otherParty = isSeller ? order.buyer : seller;
+  const nextStep = order.meetupSchedule.status === 'proposed'
+    ? 'New slots have been proposed. Please pick one.'
+    : 'The seller will propose new slots.';
+
+  await notifyParty(
+    otherParty,
+    order.orderNumber,
+    `The ${isSeller ? 'seller' : 'buyer'} rescheduled the meetup: ${reason}. ${nextStep}`
+  );
+
+  return order;
+};
+
+
+// get the handover code to show the seller at the meetup (buyer only)
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// returns {Object} code and QR payload
+
+export const getHandoverCode = async (orderId, userId) => {
+  const { order, isBuyer } = await getMeetupOrder(orderId, userId, '+handover.code');
+
+  if (!isBuyer) {
+    throw new AppError('Only the buyer can view the handover code', 403);
+  }
+
+  if (order.status !== 'ready' || !order.handover?.code) {
+    throw new AppError('A handover code is issued once the meetup is scheduled', 400);
+  }
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    code: order.handover.code,
+    qrPayload: `${HANDOVER_QR_PREFIX}:${order._id}:${order.handover.code}`,
+    issuedAt: order.handover.issuedAt,
+  };
+};
+
+
+// verify the buyer's handover code and complete the order (seller only)
+// failed checks are counted and logged; too many lock the order for a while
+// param {string} orderId - order ID
+// param {string} userId - seller user ID
+// param {string} input - 6-digit code or scanned QR payload
+// returns {Object} completed order
+
+export const verifyHandoverCode = async (orderId, userId, input) => {
+  const { order, isSeller } = await getMeetupOrder(orderId, userId, '+handover.code');
+  const { handoverMaxAttempts, handoverLockMinutes } = config.meetup;
+
+  if (!isSeller) {
+    throw new AppError('Only the seller can verify the handover code', 403);
+  }
+
+  if (order.status !== 'ready' || !order.handover?.code) {
+    throw new AppError('This order is not waiting for a meetup handover', 400);
+  }
+
+  if (order.isDisputed) {
+    throw new AppError('Handover cannot be verified while a dispute is open', 400);
+  }
+
+  const now = new Date();
+
+  // count the attempt before comparing the code, in one conditional update,
+  // so parallel guesses can't all get in under the limit
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'handover.lockedUntil': { $not: { $gt: now } },
+      'handover.failedAttempts': { $lt: handoverMaxAttempts },
+    },
+    { $inc: { 'handover.failedAttempts': 1 } },
+    { new: true, projection: { handover: 1 } }
+  );
+
+  if (!claimed) {
+    const { handover } = await Order.findById(order._id).select('handover').lean();
+    const minutesLeft = handover.lockedUntil > now
+      ? Math.ceil((handover.lockedUntil - now) / (60 * 1000))
+      : handoverLockMinutes;
+
+    throw new AppError(
+      `Too many incorrect handover codes. Try again in ${minutesLeft} minute(s)`,
+      429
+    );
+  }
+
+  const code = parseHandoverInput(order, input);
+
+  if (!order.matchesHandoverCode(code)) {
+    const attempt = claimed.handover.failedAttempts;
+    const update = {};
+
+    let note = `handover code check failed (attempt ${attempt} of ${handoverMaxAttempts})`;
+
+    // only the request that used up the last attempt gets here, so it sets the lock
+    if (attempt >= handoverMaxAttempts) {
+      update.$set = {
+        'handover.failedAttempts': 0,
+        'handover.lockedUntil': new Date(now.getTime() + handoverLockMinutes * 60 * 1000),
+      };
+      note += `, handover locked for ${handoverLockMinutes} minutes`;
+    }
+
+    update.$push = { statusHistory: { status: order.status, updatedBy: userId, timestamp: now, note } };
+    await Order.updateOne({ _id: order._id }, update);
+
+    throw new AppError('Invalid handover code', 400);
+  }
+
+  order.buyerConfirmed = true;
+  order.handover.verifiedAt = now;
+  order.handover.verifiedBy = userId;
+
+  return transitionOrder(order, 'completed', {
+    actor: 'seller',
+    userId,
+    note: 'handover verified with buyer code',
+  });
+};
+
+
+// email both parties before their accepted meetup
+// returns {number} number of orders reminded
+
+export const sendMeetupReminders = async () => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + config.meetup.reminderHoursBefore * 60 * 60 * 1000);
+
+  const orders = await Order.find({
+    status: 'ready',
+    deliveryMethod: 'meetup',
+    'meetupSchedule.status': 'accepted',
+    'meetupSchedule.acceptedSlot.startTime': { $gt: now, $lte: windowEnd },
+    'meetupSchedule.reminderSentAt': { $exists: false },
+  })
+    .populate('buyer', 'email name')
+    .populate('items.seller', 'email name');
+
+  let remindedCount = 0;
+
+  for (const order of orders) {
+    const { locationName, acceptedSlot } = order.meetupSchedule;
+    const recipients = [order.buyer, order.items[0]?.seller];
+
+    for (const recipient of recipients) {
+      if (recipient?.email) {
+        try {
+          await sendMeetupReminderEmail(
+            recipient.email,
+            order.orderNumber,
+            recipient.name,
+            locationName,
+            acceptedSlot.startTime
+          );
+        } catch (emailError) {
+          console.error('failed to send meetup reminder email:', emailError.message);
+        }
+      }
+    }
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'meetupSchedule.reminderSentAt': now } }
+    );
+
+    remindedCount++;
+  }
+
+  return remindedCount;
+};
+
+export default {
+  getMeetupLocations,
+  createMeetupLocation,
+  updateMeetupLocation,
+  deactivateMeetupLocation,
+  getMeetupSchedule,
+  proposeMeetupSlots,
+  acceptMeetupSlot,
+  rescheduleMeetup,
+  getHandoverCode,
+  verifyHandoverCode,
+  sendMeetupReminders,
+};
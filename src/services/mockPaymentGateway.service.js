@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+
+// local mock gateway for development and tests
+// payments stay pending until POST /api/payments/mock/:gatewayReference/complete
+// sends a signed webhook back through the normal webhook handler
+
+// create a mock payment
+// param {Object} paymentData - { reference, amount, currency, method }
+// returns {Object} gateway reference, checkout url and expiry
+
+const createPayment = async ({ method }) => {
+  const gatewayReference = `MOCK-${method.toUpperCase()}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+  return {
+    gatewayReference,
+    checkoutUrl: `${config.frontendUrl}/payments/mock/${gatewayReference}`,
+    expiresAt: new Date(Date.now() + config.payment.intentExpiryMinutes * 60 * 1000),
+  };
+};
+
+// translate a mock webhook body
+// param {Object} body - { reference, event }
+// returns {Object} normalized webhook event
+
+const parseWebhook = (body) => {
+  const statusByEvent = {
+    'payment.paid': 'succeeded',
+    'payment.failed': 'failed',
+    'payment.expired': 'expired',
+  };
+
+  return {
+    gatewayReference: body.reference,
+    eventType: body.event,
+    status: statusByEvent[body.event] || null,
+  };
+};
+
+// refund a mock payment (always succeeds)
+// param {Object} refundData - { gatewayReference, amount }
+// returns {Object} refund reference
+
+const refundPayment = async ({ gatewayReference }) => {
+  return {
+    refundReference: `${gatewayReference}-REFUND`,
+  };
+};
+
+// build the webhook body the mock gateway would send
+// param {string} gatewayReference - mock payment reference
+// param {string} outcome - 'paid', 'failed' or 'expired'
+// returns {Object} webhook body
+
+export const buildWebhookBody = (gatewayReference, outcome = 'paid') => {
+  return {
+    reference: gatewayReference,
+    event: `payment.${outcome}`,
+  };
+};
+
+export default {
+  name: 'mock',
+  createPayment,
+  parseWebhook,
+  refundPayment,
+};
@@ -1,44 +1,102 @@
+import mongoose from 'mongoose';
 import Order from '../models/Order.model.js';
 import Cart from '../models/Cart.model.js';
 import Product from '../models/Product.model.js';
 import User from '../models/User.model.js';
 import AppError from '../utils/AppError.js';
-import { sendNewOrderEmail, sendOrderStatusEmail } from '../utils/emailService.js';
+import config from '../config/config.js';
+import {
+  sendNewOrderEmail,
+  sendOrderExpiredEmail,
+  sendOrderAdjustmentEmail,
+} from '../utils/emailService.js';
+import { calculateShippingFee } from '../utils/shippingUtils.js';
+import { getCourier } from './courier.service.js';
+import { isValidOrderNumber } from '../utils/orderNumberUtils.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
+import {
+  AWAITING_CONFIRMATION_STATUSES,
+  transitionOrder,
+} from './orderStateMachine.service.js';
+
+// fields populated on orders returned right after checkout
+const CREATED_ORDER_POPULATE = [
+  { path: 'buyer', select: 'name email contactNumber profilePicture' },
+  { path: 'items.product', select: 'name images' },
+  { path: 'items.seller', select: 'name email contactNumber profilePicture' },
+];
+
+// validate delivery method and address/location
+const validateDeliveryDetails = ({ deliveryMethod, deliveryAddress, meetupLocation }) => {
+  if (deliveryMethod === 'shipping' && !deliveryAddress?.fullAddress) {
+    throw new AppError('Delivery address is required for shipping', 400);
+  }
+
+  if (deliveryMethod === 'meetup' && !meetupLocation) {
+    throw new AppError('Meetup location is required for meetup', 400);
+  }
+};
+
+// attempts made when a new order number collides with an existing one
+const ORDER_NUMBER_RETRIES = 3;
 
+// check if an error is a duplicate order number
+const isOrderNumberCollision = (error) => {
+  return error?.code === 11000 && Boolean(error.keyPattern?.orderNumber);
+};
+
+// run a callback inside a mongodb transaction
+// withTransaction may retry on transient errors, so the callback must not
+// keep state from a previous attempt. an order number collision (e.g. a reset
+// counter) aborts the transaction, so it is retried here with fresh numbers
+const runInTransaction = async (callback) => {
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
 
-// create order from cart
+    try {
+      await session.withTransaction(() => callback(session));
+      return;
+    } catch (error) {
+      if (!isOrderNumberCollision(error)) {
+        throw error;
+      }
+
+      if (attempt >= ORDER_NUMBER_RETRIES) {
+        throw new AppError('Could not assign an order number. Please try again', 503);
+      }
+
+      console.error(`order number collision, retrying (attempt ${attempt} of ${ORDER_NUMBER_RETRIES})`);
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+// reserve stock and create a single-seller order inside a session
 // param {string} userId - buyer user ID
-// param {Object} orderData - order details
+// param {Object} orderData - order details (items, delivery, payment, checkoutId)
+// param {ClientSession} session - active transaction session
 // returns {Object} created order
 
-export const createOrder = async (userId, orderData) => {
+const createOrderInSession = async (userId, orderData, session) => {
   const {
-    items, // array of { product, quantity }
+    items,
     deliveryMethod,
     deliveryAddress,
     meetupLocation,
     paymentMethod,
+    checkoutId,
   } = orderData;
 
-  if (!items || items.length === 0) {
-    throw new AppError('Order must contain at least one item', 400);
-  }
-
-  // validate delivery method and address/location
-  if (deliveryMethod === 'shipping' && !deliveryAddress?.fullAddress) {
-    throw new AppError('Delivery address is required for shipping', 400);
-  }
-
-  if (deliveryMethod === 'meetup' && !meetupLocation) {
-    throw new AppError('Meetup location is required for meetup', 400);
-  }
-
-  // prepare order items with product details
   const orderItems = [];
+  const shippingItems = [];
   let totalAmount = 0;
+  let depositAmount = 0;
+  let expectedAvailableAt = null;
+  let seller = null;
 
   for (const item of items) {
-    const product = await Product.findById(item.product);
+    const product = await Product.findById(item.product).session(session);
 
     if (!product) {
       throw new AppError(`Product ${item.product} not found`, 404);
@@ -48,86 +106,303 @@ export const createOrder = async (userId, orderData) => {
       throw new AppError(`Product "${product.name}" is not available`, 400);
     }
 
-    if (product.stock < item.quantity) {
+    if (!product.isValidVariantSelection(item.variant)) {
+      throw new AppError(`Please choose an available option for "${product.name}"`, 400);
+    }
+
+    const isPreOrder = product.isPreOrder;
+    const variant = product.getVariant(item.variant);
+    const itemName = variant ? `${product.name} (${product.getVariantLabel(variant._id)})` : product.name;
+    const availableQuantity = product.getAvailableQuantity(item.variant);
+
+    if (availableQuantity < item.quantity) {
       throw new AppError(
-        `Insufficient stock for "${product.name}". Only ${product.stock} available.`,
+        isPreOrder
+          ? `Only ${availableQuantity} pre-order slots left for "${itemName}".`
+          : `Insufficient stock for "${itemName}". Only ${availableQuantity} available.`,
         400
       );
     }
 
-    // check if seller allows shipping if delivery method is shipping
+    // each order belongs to exactly one seller so they can manage its status alone
+    if (orderItems.length > 0 && !orderItems[0].seller.equals(product.seller)) {
+      throw new AppError(
+        'Items from multiple sellers must be checked out through /api/orders/checkout',
+        400
+      );
+    }
+
+    // check if seller and product allow shipping if delivery method is shipping
     if (deliveryMethod === 'shipping') {
-      const seller = await User.findById(product.seller);
+      seller = seller || await User.findById(product.seller).session(session);
       if (!seller.sellerInfo.allowsShipping) {
         throw new AppError(
           `Seller of "${product.name}" does not offer shipping`,
           400
         );
       }
+
+      if (!product.shippingAvailable) {
+        throw new AppError(
+          `"${product.name}" is not available for shipping`,
+          400
+        );
+      }
+    }
+
+    // conditional decrement of stock (or pre-order room) and increment of order count
+    const reserved = isPreOrder
+      ? await Product.reservePreOrder(product._id, item.quantity, session)
+      : await Product.reserveStock(product._id, item.quantity, session, variant?._id);
+
+    if (!reserved) {
+      throw new AppError(
+        isPreOrder
+          ? `Pre-orders for "${itemName}" just filled up. Please review your cart.`
+          : `"${itemName}" was just purchased by someone else. Please review your cart.`,
+        409
+      );
     }
 
-    const itemTotal = product.price * item.quantity;
+    const price = product.getPrice(item.variant);
+    const itemTotal = price * item.quantity;
     totalAmount += itemTotal;
 
+    if (isPreOrder) {
+      depositAmount += itemTotal * product.preOrder.depositPercent / 100;
+
+      const availableAt = product.preOrder.expectedAvailableAt;
+      if (availableAt && (!expectedAvailableAt || availableAt > expectedAvailableAt)) {
+        expectedAvailableAt = availableAt;
+      }
+    }
+
     orderItems.push({
       product: product._id,
       seller: product.seller,
       quantity: item.quantity,
-      price: product.price,
+      price,
       productName: product.name,
-      productImage: product.images?.[0] || '',
+      productImage: variant?.image || product.images?.[0] || '',
+      variant: variant?._id,
+      sku: variant?.sku,
+      variantLabel: variant ? product.getVariantLabel(variant._id) : undefined,
+      shippingFee: product.shippingFee,
+      isPreOrder,
     });
 
-    // decrement product stock and increment order count
-    await product.decrementStock(item.quantity);
-    await Product.findByIdAndUpdate(product._id, { $inc: { orderCount: 1 } });
+    shippingItems.push({
+      product: product._id,
+      productName: itemName,
+      price,
+      quantity: item.quantity,
+      shippingFee: product.shippingFee,
+    });
   }
 
-  // calculate shipping fee (mock logic)
-  const shippingFee = deliveryMethod === 'shipping' ? 50 : 0;
+  // calculate shipping fee from product fees and the seller's shipping rules
+  const { shippingFee, feeLines } = deliveryMethod === 'shipping'
+    ? calculateShippingFee(shippingItems, seller.sellerInfo.shippingRules)
+    : { shippingFee: 0, feeLines: [] };
   totalAmount += shippingFee;
 
-  // create order
-  const order = await Order.create({
+  const hasPreOrders = orderItems.some(item => item.isPreOrder);
+  depositAmount = Math.round(depositAmount * 100) / 100;
+
+  // deposits are collected online before the batch is made
+  if (depositAmount > 0 && !['gcash', 'maya'].includes(paymentMethod)) {
+    throw new AppError('Pre-order deposits must be paid through GCash or Maya', 400);
+  }
+
+  const [order] = await Order.create([{
     buyer: userId,
+    checkoutId,
     items: orderItems,
     totalAmount,
     shippingFee,
+    shippingFeeLines: feeLines,
     deliveryMethod,
     meetupLocation: deliveryMethod === 'meetup' ? meetupLocation : undefined,
     deliveryAddress: deliveryMethod === 'shipping' ? deliveryAddress : undefined,
     paymentMethod,
-    status: 'pending',
+    preOrder: hasPreOrders ? { expectedAvailableAt } : undefined,
+    deposit: depositAmount > 0 ? { amount: depositAmount } : undefined,
+    status: hasPreOrders ? 'awaiting_stock' : 'pending',
+  }], { session });
+
+  return order;
+};
+
+// remove ordered lines (product + variant) from the buyer's cart inside a session
+const removeOrderedCartItems = (userId, items, session) => {
+  const lines = items.map(item => ({ product: item.product, variant: item.variant || null }));
+
+  return Cart.updateOne(
+    { user: userId },
+    {
+      $pull: { items: { $or: lines } },
+      $set: { updatedAt: new Date() },
+    },
+    { session }
+  );
+};
+
+// send new order email to the order's seller
+const notifySeller = async (order) => {
+  const seller = await User.findById(order.getSeller());
+  if (seller && seller.email) {
+    try {
+      await sendNewOrderEmail(seller.email, order.orderNumber, seller.name);
+    } catch (emailError) {
+      console.error('failed to send order email to seller:', emailError.message);
+    }
+  }
+};
+
+// combine the sub-orders of a checkout into one buyer view
+const buildCheckoutSummary = (checkoutId, orders) => {
+  return {
+    checkoutId,
+    orders,
+    sellerCount: orders.length,
+    itemCount: orders.reduce(
+      (sum, order) => sum + order.items.reduce((count, item) => count + item.quantity, 0),
+      0
+    ),
+    subtotal: orders.reduce((sum, order) => sum + order.totalAmount - order.shippingFee, 0),
+    shippingFee: orders.reduce((sum, order) => sum + order.shippingFee, 0),
+    totalAmount: orders.reduce((sum, order) => sum + order.totalAmount, 0),
+    createdAt: orders[0]?.createdAt,
+  };
+};
+
+
+// create order for a single seller
+// runs inside a transaction so stock, orderCount and the cart are only
+// touched if the whole order goes through
+// param {string} userId - buyer user ID
+// param {Object} orderData - order details
+// returns {Object} created order
+
+export const createOrder = async (userId, orderData) => {
+  const { items } = orderData;
+
+  if (!items || items.length === 0) {
+    throw new AppError('Order must contain at least one item', 400);
+  }
+
+  validateDeliveryDetails(orderData);
+
+  let order;
+
+  await runInTransaction(async (session) => {
+    order = await createOrderInSession(userId, orderData, session);
+    await removeOrderedCartItems(userId, items, session);
   });
 
-  // clear cart items that were ordered
+  // detach the ended session before reusing the document
+  order.$session(null);
+
+  // notify the seller only after the transaction has committed
+  await notifySeller(order);
+
+  await order.populate(CREATED_ORDER_POPULATE);
+
+  return order;
+};
+
+
+// checkout the cart split into one order per seller
+// all sub-orders share a checkoutId and are created in a single transaction
+// param {string} userId - buyer user ID
+// param {Object} checkoutData - { paymentMethod, sellers: [{ sellerId, deliveryMethod, meetupLocation, deliveryAddress }] }
+// returns {Object} combined checkout with its sub-orders
+
+export const checkout = async (userId, checkoutData) => {
+  const { sellers = [], paymentMethod } = checkoutData;
+
+  if (sellers.length === 0) {
+    throw new AppError('Select at least one seller to check out', 400);
+  }
+
   const cart = await Cart.findOne({ user: userId });
-  if (cart) {
-    for (const item of items) {
-      await cart.removeItem(item.product);
-    }
+
+  if (!cart || cart.items.length === 0) {
+    throw new AppError('Cart is empty', 400);
   }
 
-  // send email notifications to sellers
-  const sellerIds = [...new Set(orderItems.map(item => item.seller.toString()))];
-  for (const sellerId of sellerIds) {
-    const seller = await User.findById(sellerId);
-    if (seller && seller.email) {
-      try {
-        await sendNewOrderEmail(seller.email, order.orderNumber, seller.name);
-      } catch (emailError) {
-        console.error('failed to send order email to seller:', emailError.message);
-      }
+  const grouped = await cart.groupBySeller();
+
+  const seenSellers = new Set();
+  const sellerOrders = sellers.map((options) => {
+    const group = grouped[options.sellerId];
+
+    if (!group) {
+      throw new AppError(`Your cart has no items from seller ${options.sellerId}`, 400);
+    }
+
+    if (seenSellers.has(options.sellerId)) {
+      throw new AppError(`Seller ${options.sellerId} is listed more than once`, 400);
+    }
+    seenSellers.add(options.sellerId);
+
+    validateDeliveryDetails(options);
+
+    return {
+      ...options,
+      items: group.items.map(item => ({
+        product: item.product._id,
+        variant: item.variant,
+        quantity: item.quantity,
+      })),
+    };
+  });
+
+  const checkoutId = Order.generateCheckoutId();
+  let orders;
+
+  await runInTransaction(async (session) => {
+    orders = [];
+
+    for (const sellerOrder of sellerOrders) {
+      const order = await createOrderInSession(userId, {
+        ...sellerOrder,
+        paymentMethod,
+        checkoutId,
+      }, session);
+      orders.push(order);
     }
+
+    const orderedItems = sellerOrders.flatMap(sellerOrder => sellerOrder.items);
+    await removeOrderedCartItems(userId, orderedItems, session);
+  });
+
+  for (const order of orders) {
+    order.$session(null);
+    await notifySeller(order);
+    await order.populate(CREATED_ORDER_POPULATE);
   }
 
-  await order.populate([
-    { path: 'buyer', select: 'name email contactNumber profilePicture' },
-    { path: 'items.product', select: 'name images' },
-    { path: 'items.seller', select: 'name email contactNumber profilePicture' },
-  ]);
+  return buildCheckoutSummary(checkoutId, orders);
+};
 
-  return order;
+
+// get all sub-orders of a checkout (buyer only)
+// param {string} checkoutId - checkout ID
+// param {string} userId - buyer user ID
+// returns {Object} combined checkout with its sub-orders
+
+export const getCheckout = async (checkoutId, userId) => {
+  const orders = await Order.find({ checkoutId, buyer: userId })
+    .populate('items.product', 'name images')
+    .populate('items.seller', 'name profilePicture sellerInfo email')
+    .sort({ createdAt: 1 });
+
+  if (orders.length === 0) {
+    throw new AppError('Checkout not found', 404);
+  }
+
+  return buildCheckoutSummary(checkoutId, orders);
 };
 
 
@@ -160,69 +435,90 @@ export const getOrderById = async (orderId, userId) => {
 };
 
 
+// get order by its order number (buyer or seller)
+// param {string} orderNumber - order number, e.g. ORD-20250101-00042-7
+// param {string} userId - user id (for authorization)
+// returns {Object} order details
+
+export const getOrderByNumber = async (orderNumber, userId) => {
+  const normalized = orderNumber.trim().toUpperCase();
+
+  if (!isValidOrderNumber(normalized)) {
+    throw new AppError('Invalid order number. Please check it for typos', 400);
+  }
+
+  const order = await Order.findOne({ orderNumber: normalized })
+    .select('_id');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return getOrderById(order._id, userId);
+};
+
+
 // get user's orders (as buyer)
 // param {string} userId - user id
-// param {Object} filters - filter options
+// param {Object} filters - { status, page or cursor, limit }
 // returns {Object} orders and pagination
 
 export const getUserOrders = async (userId, filters = {}) => {
-  const { status, page = 1, limit = 20 } = filters;
+  const { status, cursor, page, limit } = filters;
 
   const query = { buyer: userId };
   if (status) query.status = status;
 
-  const skip = (page - 1) * limit;
+  const paging = getPaginationOptions({ cursor, page, limit });
 
-  const orders = await Order.find(query)
+  const docs = await Order.find(applyCursor(query, paging))
     .populate('items.product', 'name images')
     .populate('items.seller', 'name profilePicture sellerInfo email')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
 
-  const total = await Order.countDocuments(query);
+  const { items: orders, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Order.countDocuments(query),
+    totalKey: 'totalOrders',
+  });
 
   return {
     orders,
-    pagination: {
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalOrders: total,
-    },
+    pagination,
   };
 };
 
 
 // get seller's orders
 // param {string} sellerId - seller user ID
-// param {Object} filters - filter options
+// param {Object} filters - { status, page or cursor, limit }
 // returns {Object} orders and pagination
 
 export const getSellerOrders = async (sellerId, filters = {}) => {
-  const { status, page = 1, limit = 20 } = filters;
+  const { status, cursor, page, limit } = filters;
 
   const query = { 'items.seller': sellerId };
   if (status) query.status = status;
 
-  const skip = (page - 1) * limit;
+  const paging = getPaginationOptions({ cursor, page, limit });
 
-  const orders = await Order.find(query)
+  const docs = await Order.find(applyCursor(query, paging))
     .populate('buyer', 'name contactNumber profilePicture email')
     .populate('items.product', 'name images')
     .populate('items.seller', 'name profilePicture sellerInfo email')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
 
-  const total = await Order.countDocuments(query);
+  const { items: orders, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Order.countDocuments(query),
+    totalKey: 'totalOrders',
+  });
 
   return {
     orders,
-    pagination: {
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalOrders: total,
-    },
+    pagination,
   };
 };
 
@@ -232,9 +528,10 @@ export const getSellerOrders = async (sellerId, filters = {}) => {
 // param {string} userId - user id (seller or admin)
 // param {string} newStatus - new status
 // param {string} note - optional note
+// param {Object} shipment - { courier, trackingNumber } (required when shipping)
 // returns {Object} updated order
 
-export const updateOrderStatus = async (orderId, userId, newStatus, note = '') => {
+export const updateOrderStatus = async (orderId, userId, newStatus, note = '', shipment = {}) => {
   const order = await Order.findById(orderId)
     .populate('buyer', 'email name');
 
@@ -251,79 +548,364 @@ export const updateOrderStatus = async (orderId, userId, newStatus, note = '') =
     throw new AppError('Only the seller can update order status', 403);
   }
 
-  // validate status transition based on delivery method
-  const validTransitions = {
-    pending: ['processing', 'cancelled'],
-    processing: ['ready', 'shipped', 'cancelled'],
-    ready: ['completed', 'cancelled'],
-    shipped: ['completed', 'cancelled'],
-  };
+  if (newStatus === 'shipped' && order.status === 'processing') {
+    order.shipment.courier = shipment.courier;
+    order.shipment.trackingNumber = shipment.trackingNumber;
+    order.shipment.trackingUrl = shipment.trackingNumber
+      ? getCourier().getTrackingUrl(shipment.trackingNumber)
+      : undefined;
+    order.shipment.shippedAt = new Date();
+  }
 
-  if (!validTransitions[order.status]?.includes(newStatus)) {
-    throw new AppError(
-      `Cannot change status from ${order.status} to ${newStatus}`,
-      400
-    );
+  return transitionOrder(order, newStatus, { actor: 'seller', userId, note });
+};
+
+
+// add a tracking update to a shipped order (seller only)
+// param {string} orderId - order ID
+// param {string} userId - seller user ID
+// param {Object} event - { status, description, location, occurredAt }
+// returns {Object} shipment
+
+export const addTrackingUpdate = async (orderId, userId, event) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.getSeller().toString() !== userId) {
+    throw new AppError('Only the seller can post tracking updates', 403);
+  }
+
+  if (order.status !== 'shipped') {
+    throw new AppError('Tracking updates can only be posted for shipped orders', 400);
+  }
+
+  const { status, description, location, occurredAt } = event;
+
+  const added = order.addShipmentEvent({
+    status,
+    description,
+    location,
+    occurredAt,
+    source: 'seller',
+  });
+
+  if (!added) {
+    throw new AppError('This tracking update has already been recorded', 400);
   }
 
-  // validate status matches delivery method
-  if (newStatus === 'ready' && order.deliveryMethod !== 'meetup') {
+  await order.save();
+
+  return order.shipment;
+};
+
+
+// pull the latest tracking events from the courier adapter
+// param {string} orderId - order ID
+// param {string} userId - buyer or seller user ID
+// returns {Object} shipment
+
+export const refreshTracking = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const isBuyer = order.buyer.toString() === userId;
+  const isSeller = order.getSeller().toString() === userId;
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('You do not have access to this order', 403);
+  }
+
+  if (!order.shipment?.trackingNumber) {
+    throw new AppError('This order has no tracking number', 400);
+  }
+
+  const { events } = await getCourier().getTracking(order.shipment.trackingNumber);
+
+  for (const event of events) {
+    order.addShipmentEvent({ ...event, source: 'courier' });
+  }
+
+  order.shipment.lastSyncedAt = new Date();
+  await order.save();
+
+  return order.shipment;
+};
+
+
+// recompute totals and shipping after items change
+// uses the per-item shipping fee captured at order time (current product fee for older orders)
+const recalculateOrderTotals = async (order) => {
+  const subtotal = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  if (order.deliveryMethod !== 'shipping') {
+    order.totalAmount = subtotal;
+    return;
+  }
+
+  const seller = await User.findById(order.getSeller());
+  const shippingItems = [];
+
+  for (const item of order.items) {
+    let itemShippingFee = item.shippingFee;
+
+    if (itemShippingFee === undefined) {
+      const product = await Product.findById(item.product).select('shippingFee');
+      itemShippingFee = product?.shippingFee || 0;
+    }
+
+    shippingItems.push({
+      product: item.product,
+      productName: item.productName,
+      price: item.price,
+      quantity: item.quantity,
+      shippingFee: itemShippingFee,
+    });
+  }
+
+  const { shippingFee, feeLines } = calculateShippingFee(
+    shippingItems,
+    seller?.sellerInfo?.shippingRules
+  );
+
+  order.shippingFee = shippingFee;
+  order.shippingFeeLines = feeLines;
+  order.totalAmount = subtotal + shippingFee;
+};
+
+
+// reduce or cancel individual line items before processing (seller only)
+// stock is restored for the dropped units right away; the buyer then has to
+// accept the changed order before the seller can move it to processing
+// param {string} orderId - order ID
+// param {string} userId - seller user ID
+// param {Object} adjustmentData - { items: [{ product, variant, quantity }], reason } (quantity 0 cancels the line)
+// returns {Object} updated order
+
+export const adjustOrderItems = async (orderId, userId, adjustmentData) => {
+  const { items: requestedChanges = [], reason } = adjustmentData;
+
+  const order = await Order.findById(orderId)
+    .populate('buyer', 'email name');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.getSeller().toString() !== userId) {
+    throw new AppError('Only the seller can change order items', 403);
+  }
+
+  if (order.status !== 'pending') {
+    throw new AppError('Items can only be changed before the order is processed', 400);
+  }
+
+  if (order.isDisputed) {
+    throw new AppError('Items cannot be changed while a dispute is open', 400);
+  }
+
+  // paid totals would need a partial refund, so the whole order is cancelled
+  // instead (cancelling refunds what was paid)
+  if (['confirmed', 'partially_paid'].includes(order.paymentStatus)) {
     throw new AppError(
-      'Status "ready" is only valid for meetup orders',
+      'This order has already been paid. Cancel the order instead so the buyer is refunded',
       400
     );
   }
 
-  if (newStatus === 'shipped' && order.deliveryMethod !== 'shipping') {
+  // an unreviewed transfer isn't refunded on cancel, so settle it first
+  if (order.paymentProof?.status === 'submitted') {
     throw new AppError(
-      'Status "shipped" is only valid for shipping orders',
+      'The buyer has sent payment proof for this order. Review it before changing the items',
       400
     );
   }
 
-  if (newStatus === 'completed') {
-    const now = new Date();
-    const canComplete = order.buyerConfirmed ||
-                       (order.buyerConfirmationDeadline && now > order.buyerConfirmationDeadline);
+  const changes = [];
 
-    if (!canComplete) {
+  for (const requested of requestedChanges) {
+    const item = order.items.find(
+      orderItem => orderItem.product.toString() === requested.product.toString() &&
+                   String(orderItem.variant || '') === String(requested.variant || '')
+    );
+
+    if (!item) {
       throw new AppError(
-        'Order cannot be completed until buyer confirms or confirmation deadline passes',
+        `Product ${requested.product}${requested.variant ? ` (variant ${requested.variant})` : ''} is not part of this order`,
         400
       );
     }
+
+    if (changes.some(change => change.item === item)) {
+      throw new AppError(`"${item.productName}" is listed more than once`, 400);
+    }
+
+    if (requested.quantity >= item.quantity) {
+      throw new AppError(
+        `Quantity of "${item.productName}" can only be reduced (currently ${item.quantity})`,
+        400
+      );
+    }
+
+    changes.push({ item, previousQuantity: item.quantity, newQuantity: requested.quantity });
   }
 
-  if ((newStatus === 'ready' || newStatus === 'shipped') && !order.buyerConfirmationDeadline) {
-    order.buyerConfirmationDeadline = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const remainingItems = order.items.filter(item => {
+    const change = changes.find(c => c.item === item);
+    return !change || change.newQuantity > 0;
+  });
+
+  if (remainingItems.length === 0) {
+    throw new AppError('At least one item must remain. Cancel the order instead', 400);
   }
 
-  await order.updateStatus(newStatus, userId, note);
+  const previousTotal = order.totalAmount;
+
+  for (const { item, previousQuantity, newQuantity } of changes) {
+    if (newQuantity === 0) {
+      order.cancelledItems.push({
+        product: item.product,
+        quantity: previousQuantity,
+        price: item.price,
+        productName: item.productName,
+        productImage: item.productImage,
+        variant: item.variant,
+        variantLabel: item.variantLabel,
+        reason,
+      });
+      order.items.pull(item._id);
+    } else {
+      item.quantity = newQuantity;
+    }
+  }
+
+  await recalculateOrderTotals(order);
+
+  const changeRecords = changes.map(({ item, previousQuantity, newQuantity }) => ({
+    product: item.product,
+    productName: item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName,
+    previousQuantity,
+    newQuantity,
+  }));
+
+  // further changes before the buyer answers are folded into the same request
+  if (order.isAwaitingAdjustmentApproval) {
+    order.itemAdjustment.changes.push(...changeRecords);
+    order.itemAdjustment.reason = reason;
+  } else {
+    order.itemAdjustment = {
+      status: 'awaiting_buyer',
+      reason,
+      requestedBy: userId,
+      requestedAt: new Date(),
+      previousTotal,
+      changes: changeRecords,
+    };
+  }
+
+  const summary = changeRecords
+    .map(change => `${change.productName} ${change.previousQuantity} -> ${change.newQuantity}`)
+    .join(', ');
+
+  order.statusHistory.push({
+    status: order.status,
+    updatedBy: userId,
+    note: `items adjusted (${summary}), total ${previousTotal} -> ${order.totalAmount}: ${reason}`,
+  });
+
+  // save the order (only while it is still pending, the seller may have
+  // accepted it meanwhile) and put the removed units back in one transaction,
+  // so a failed save never leaves the stock restored
+  order.$where = { status: 'pending' };
+
+  try {
+    await runInTransaction(async (session) => {
+      await order.save({ session });
+
+      for (const { item, previousQuantity, newQuantity } of changes) {
+        const product = await Product.findById(item.product).session(session);
+        if (product) {
+          await product.incrementStock(previousQuantity - newQuantity, item.variant);
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError ||
+        error instanceof mongoose.Error.VersionError) {
+      throw new AppError('Order was updated by someone else. Reload it and try again', 409);
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
 
-  // send email notification to buyer
   if (order.buyer.email) {
     try {
-      await sendOrderStatusEmail(
+      await sendOrderAdjustmentEmail(
         order.buyer.email,
         order.orderNumber,
-        newStatus,
-        order.buyer.name
+        order.buyer.name,
+        order.itemAdjustment,
+        order.totalAmount
       );
     } catch (emailError) {
-      console.error('failed to send status update email:', emailError.message);
+      console.error('failed to send order adjustment email:', emailError.message);
     }
   }
 
-  // update seller stats if completed
-  if (newStatus === 'completed') {
-    for (const item of order.items) {
-      const seller = await User.findById(item.seller);
-      if (seller) {
-        await seller.incrementSales(item.price * item.quantity);
-      }
-    }
+  return order;
+};
+
+
+// accept or reject the seller's item changes (buyer only)
+// rejecting cancels the whole order and releases the remaining stock
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// param {string} decision - 'accept' or 'reject'
+// returns {Object} updated order
+
+export const respondToItemAdjustment = async (orderId, userId, decision) => {
+  const order = await Order.findById(orderId)
+    .populate('buyer', 'email name');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer._id.toString() !== userId) {
+    throw new AppError('Only the buyer can respond to order changes', 403);
+  }
+
+  if (!order.isAwaitingAdjustmentApproval) {
+    throw new AppError('There are no order changes waiting for your answer', 400);
   }
 
+  order.itemAdjustment.respondedAt = new Date();
+
+  if (decision === 'reject') {
+    order.itemAdjustment.status = 'rejected';
+
+    return transitionOrder(order, 'cancelled', {
+      actor: 'buyer',
+      userId,
+      note: 'buyer rejected the seller\'s item changes',
+    });
+  }
+
+  order.itemAdjustment.status = 'accepted';
+  order.statusHistory.push({
+    status: order.status,
+    updatedBy: userId,
+    note: `buyer accepted item changes, new total ${order.totalAmount}`,
+  });
+
+  await order.save();
+
   return order;
 };
 
@@ -336,8 +918,7 @@ export const updateOrderStatus = async (orderId, userId, newStatus, note = '') =
 
 export const cancelOrder = async (orderId, userId, reason) => {
   const order = await Order.findById(orderId)
-    .populate('buyer', 'email name')
-    .populate('items.product');
+    .populate('buyer', 'email name');
 
   if (!order) {
     throw new AppError('Order not found', 404);
@@ -357,30 +938,129 @@ export const cancelOrder = async (orderId, userId, reason) => {
     throw new AppError('Order cannot be cancelled at this stage', 400);
   }
 
-  // restore product stock
+  return transitionOrder(order, 'cancelled', {
+    actor: isBuyer ? 'buyer' : 'seller',
+    userId,
+    note: reason,
+  });
+};
+
+
+// add the items of a past order back to the buyer's cart
+// each product is re-checked for status, stock and price; quantities are
+// capped to what's still in stock after counting what's already in the cart
+// param {string} orderId - past order ID
+// param {string} userId - buyer user ID
+// returns {Object} { cart, added, unavailable }
+
+export const buyAgain = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can reorder this order', 403);
+  }
+
+  const productIds = order.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = await Cart.create({ user: userId, items: [] });
+  }
+
+  const added = [];
+  const unavailable = [];
+
   for (const item of order.items) {
-    if (item.product) {
-      await item.product.incrementStock(item.quantity);
+    const product = productMap.get(item.product.toString());
+
+    const skip = (reason, availableStock = 0) => unavailable.push({
+      product: item.product,
+      variant: item.variant,
+      variantLabel: item.variantLabel,
+      productName: product?.name || item.productName,
+      requestedQuantity: item.quantity,
+      availableStock,
+      reason,
+    });
+
+    if (!product || product.status === 'deleted') {
+      skip('Product is no longer available');
+      continue;
     }
-  }
 
-  await order.cancelOrder(userId, reason);
+    if (product.status === 'sold') {
+      skip('Out of stock');
+      continue;
+    }
 
-  // send email notification
-  if (order.buyer.email) {
-    try {
-      await sendOrderStatusEmail(
-        order.buyer.email,
-        order.orderNumber,
-        'cancelled',
-        order.buyer.name
+    if (product.status !== 'active') {
+      skip(`Product is ${product.status}`);
+      continue;
+    }
+
+    if (product.seller.toString() === userId) {
+      skip('You cannot add your own products to cart');
+      continue;
+    }
+
+    if (!product.isValidVariantSelection(item.variant)) {
+      skip(item.variant ? 'Selected option is no longer available' : 'Product now requires choosing an option');
+      continue;
+    }
+
+    const inCart = cart.items.find(
+      cartItem => cartItem.product.toString() === product._id.toString() &&
+                  String(cartItem.variant || '') === String(item.variant || '')
+    );
+    const availableQuantity = product.getAvailableQuantity(item.variant);
+    const availableStock = availableQuantity - (inCart?.quantity || 0);
+
+    if (availableStock <= 0) {
+      skip(
+        availableQuantity === 0 ? 'Out of stock' : 'All available stock is already in your cart',
+        Math.max(availableStock, 0)
       );
-    } catch (emailError) {
-      console.error('failed to send cancellation email:', emailError.message);
+      continue;
     }
+
+    const quantity = Math.min(item.quantity, availableStock);
+    const currentPrice = product.getPrice(item.variant);
+    await cart.addItem(product._id, quantity, item.variant);
+
+    added.push({
+      product: product._id,
+      variant: item.variant,
+      variantLabel: item.variantLabel,
+      productName: product.name,
+      requestedQuantity: item.quantity,
+      quantity,
+      quantityReduced: quantity < item.quantity,
+      previousPrice: item.price,
+      currentPrice,
+      priceChanged: currentPrice !== item.price,
+    });
   }
 
-  return order;
+  await cart.populate({
+    path: 'items.product',
+    select: 'name price images stock status seller options variants preOrder',
+    populate: {
+      path: 'seller',
+      select: 'name profilePicture sellerInfo',
+    },
+  });
+
+  return {
+    cart,
+    added,
+    unavailable,
+  };
 };
 
 
@@ -392,9 +1072,9 @@ export const getOrderStats = async (userId = null) => {
   let stats;
 
   if (userId) {
-    // seller stats
+    // seller stats (aggregate doesn't cast, so the id has to be an ObjectId)
     stats = await Order.aggregate([
-      { $match: { 'items.seller': userId } },
+      { $match: { 'items.seller': new mongoose.Types.ObjectId(userId) } },
       {
         $group: {
           _id: '$status',
@@ -423,7 +1103,7 @@ export const confirmOrderByBuyer = async (orderId, userId) => {
     throw new AppError('Only the buyer can confirm this order', 403);
   }
 
-  if (order.status !== 'shipped' && order.status !== 'ready') {
+  if (!AWAITING_CONFIRMATION_STATUSES.includes(order.status)) {
     throw new AppError(
       'Order can only be confirmed when it is shipped or ready for pickup',
       400
@@ -443,48 +1123,139 @@ export const confirmOrderByBuyer = async (orderId, userId) => {
 export const autoConfirmOrders = async () => {
   const now = new Date();
 
+  // orders with an open dispute stay frozen until an admin rules on them
   const ordersToConfirm = await Order.find({
-    status: { $in: ['shipped', 'ready'] },
+    status: { $in: AWAITING_CONFIRMATION_STATUSES },
     buyerConfirmed: false,
+    isDisputed: { $ne: true },
     buyerConfirmationDeadline: { $lt: now },
   });
 
   let confirmedCount = 0;
 
   for (const order of ordersToConfirm) {
-    order.status = 'completed';
-    order.autoConfirmedAt = now;
-    order.completedAt = now;
-
-    order.statusHistory.push({
-      status: 'completed',
-      timestamp: now,
-      note: 'auto-confirmed after deadline',
-    });
+    try {
+      order.autoConfirmedAt = now;
+      await transitionOrder(order, 'completed', {
+        actor: 'system',
+        note: 'auto-confirmed after deadline',
+      });
+
+      confirmedCount++;
+    } catch (error) {
+      console.error(`failed to auto-confirm order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return confirmedCount;
+};
+
+// cancel pending orders the seller never accepted
+// restores reserved stock and notifies both parties. orders waiting on the
+// buyer to answer the seller's item changes are timed from that request and
+// cancelled as an unanswered change instead
+// returns {number} number of expired orders
+
+export const expirePendingOrders = async () => {
+  const timeoutHours = config.pendingOrderTimeoutHours;
+  const cutoff = new Date(Date.now() - timeoutHours * 60 * 60 * 1000);
+
+  // pre-orders count from when their stock came in, not from when they were placed
+  const ordersToExpire = await Order.find({
+    status: 'pending',
+    isDisputed: { $ne: true },
+    'itemAdjustment.status': { $ne: 'awaiting_buyer' },
+    $or: [
+      { 'preOrder.stockReadyAt': { $lt: cutoff } },
+      { 'preOrder.stockReadyAt': null, createdAt: { $lt: cutoff } },
+    ],
+  })
+    .populate('buyer', 'email name')
+    .populate('items.seller', 'email name');
 
-    await order.save();
+  let expiredCount = 0;
 
-    for (const item of order.items) {
-      const seller = await User.findById(item.seller);
-      if (seller) {
-        await seller.incrementSales(item.price * item.quantity);
+  for (const order of ordersToExpire) {
+    try {
+      // no userId marks this as a system entry in statusHistory;
+      // both parties get the expiry email below instead of the status email
+      await transitionOrder(order, 'cancelled', {
+        actor: 'system',
+        note: `system: automatically cancelled after ${timeoutHours} hours without seller confirmation`,
+        notify: false,
+      });
+
+      expiredCount++;
+    } catch (error) {
+      // a 409 means the order left pending after it was fetched (the seller
+      // accepted it or it was cancelled), so there is nothing to expire
+      if (error.statusCode !== 409) {
+        console.error(`failed to expire order ${order.orderNumber}:`, error.message);
       }
+      continue;
     }
 
-    confirmedCount++;
+    const recipients = [order.buyer, order.items[0]?.seller];
+    for (const recipient of recipients) {
+      if (recipient?.email) {
+        try {
+          await sendOrderExpiredEmail(
+            recipient.email,
+            order.orderNumber,
+            recipient.name,
+            timeoutHours
+          );
+        } catch (emailError) {
+          console.error('failed to send order expiry email:', emailError.message);
+        }
+      }
+    }
   }
 
-  return confirmedCount;
+  const unansweredAdjustments = await Order.find({
+    status: 'pending',
+    isDisputed: { $ne: true },
+    'itemAdjustment.status': 'awaiting_buyer',
+    'itemAdjustment.requestedAt': { $lt: cutoff },
+  }).populate('buyer', 'email name');
+
+  for (const order of unansweredAdjustments) {
+    try {
+      // no answer counts as a rejection, which cancels the order
+      order.itemAdjustment.status = 'rejected';
+      await transitionOrder(order, 'cancelled', {
+        actor: 'system',
+        note: `system: automatically cancelled, the buyer did not answer the seller's item changes within ${timeoutHours} hours`,
+      });
+
+      expiredCount++;
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error(`failed to expire order ${order.orderNumber}:`, error.message);
+      }
+    }
+  }
+
+  return expiredCount;
 };
 
 export default {
   createOrder,
+  checkout,
+  getCheckout,
   getOrderById,
+  getOrderByNumber,
   getUserOrders,
   getSellerOrders,
   updateOrderStatus,
+  addTrackingUpdate,
+  refreshTracking,
+  adjustOrderItems,
+  respondToItemAdjustment,
   cancelOrder,
+  buyAgain,
   getOrderStats,
   confirmOrderByBuyer,
   autoConfirmOrders,
+  expirePendingOrders,
 };
\ No newline at end of file
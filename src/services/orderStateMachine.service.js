@@ -0,0 +1,328 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.model.js';
+import User from '../models/User.model.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/config.js';
+import { sendOrderStatusEmail } from '../utils/emailService.js';
+import { emailOrderReceipt } from './receipt.service.js';
+import { refundOrderPayment } from './payment.service.js';
+
+// order lifecycle rules
+// every order status change goes through transitionOrder so the allowed
+// moves, who may make them and their side effects live in one place
+
+export const ORDER_STATUSES = ['awaiting_stock', 'pending', 'processing', 'ready', 'shipped', 'completed', 'cancelled'];
+
+// statuses an order can still move out of
+export const ACTIVE_ORDER_STATUSES = ['awaiting_stock', 'pending', 'processing', 'ready', 'shipped'];
+
+// statuses where the item has been handed over or sent and the buyer can confirm receipt
+export const AWAITING_CONFIRMATION_STATUSES = ['ready', 'shipped'];
+
+export const ACTORS = ['buyer', 'seller', 'admin', 'system'];
+
+// days the buyer has to confirm a shipped order before it auto-confirms
+// (meetup orders count from the accepted slot, see config.meetup)
+export const BUYER_CONFIRMATION_DAYS = 7;
+
+const PARTIES = ['buyer', 'seller', 'admin'];
+
+// allowed transitions per delivery method: from -> to -> actors allowed to trigger it
+// meetup orders become ready when the buyer accepts a slot and go back to
+// processing on a reschedule, both driven by the meetup service.
+// pre-orders leave awaiting_stock when the seller marks the batch ready
+// (driven by the pre-order service)
+const TRANSITIONS = {
+  meetup: {
+    awaiting_stock: { pending: ['system'], cancelled: [...PARTIES, 'system'] },
+    pending: { processing: ['seller'], cancelled: [...PARTIES, 'system'] },
+    processing: { ready: ['system'], cancelled: PARTIES },
+    ready: { processing: ['system'], completed: ['seller', 'admin', 'system'], cancelled: PARTIES },
+  },
+  shipping: {
+    awaiting_stock: { pending: ['system'], cancelled: [...PARTIES, 'system'] },
+    pending: { processing: ['seller'], cancelled: [...PARTIES, 'system'] },
+    processing: { shipped: ['seller'], cancelled: PARTIES },
+    shipped: { completed: ['seller', 'admin', 'system'], cancelled: PARTIES },
+  },
+};
+
+// guards checked before a transition (throw AppError to block it)
+const GUARDS = {
+  pending: (order) => {
+    if (order.items.some(item => item.isPreOrder && !item.stockReadyAt)) {
+      throw new AppError('Order is still waiting for pre-order stock', 400);
+    }
+
+    if (order.isAwaitingDeposit) {
+      throw new AppError('Order cannot continue until the pre-order deposit is paid', 400);
+    }
+  },
+
+  processing: (order) => {
+    // e-wallet orders stay pending until payment is confirmed
+    if (order.isAwaitingPayment) {
+      throw new AppError(
+        `Order cannot be moved to processing until ${order.paymentMethod} payment is confirmed`,
+        400
+      );
+    }
+
+    if (order.isAwaitingAdjustmentApproval) {
+      throw new AppError(
+        'Order cannot be moved to processing until the buyer accepts the item changes',
+        400
+      );
+    }
+  },
+
+  ready: (order) => {
+    if (!order.hasScheduledMeetup) {
+      throw new AppError('Meetup order cannot be ready until the buyer accepts a meetup slot', 400);
+    }
+  },
+
+  shipped: (order) => {
+    if (!order.shipment?.courier || !order.shipment?.trackingNumber) {
+      throw new AppError('Courier and tracking number are required to ship an order', 400);
+    }
+  },
+
+  // a disputed order is settled by the admin's ruling
+  cancelled: (order, actor) => {
+    if (order.isDisputed && actor !== 'admin') {
+      throw new AppError('Order cannot be cancelled while a dispute is open', 400);
+    }
+  },
+
+  completed: (order, actor) => {
+    if (order.isDisputed) {
+      throw new AppError('Order cannot be completed while a dispute is open', 400);
+    }
+
+    // admins complete through dispute rulings
+    if (actor === 'admin') return;
+
+    const deadlinePassed = order.buyerConfirmationDeadline &&
+                           new Date() > order.buyerConfirmationDeadline;
+
+    if (!order.buyerConfirmed && !deadlinePassed) {
+      throw new AppError(
+        'Order cannot be completed until buyer confirms or confirmation deadline passes',
+        400
+      );
+    }
+  },
+};
+
+// side effects applied to the document before it is saved
+const BEFORE_SAVE = {
+  // the pending timeout starts over once the stock is in
+  pending: (order) => {
+    order.preOrder.stockReadyAt = new Date();
+  },
+  processing: (order) => {
+    clearConfirmationDeadline(order);
+    order.clearHandoverCode();
+  },
+  ready: (order) => {
+    setMeetupConfirmationDeadline(order);
+    order.issueHandoverCode();
+  },
+  shipped: (order) => setConfirmationDeadline(order),
+  // the handover code is one-time and dies with the order
+  completed: (order) => order.clearHandoverCode(),
+  cancelled: (order) => order.clearHandoverCode(),
+};
+
+// side effects run after the transition has been saved
+const AFTER_SAVE = {
+  completed: async (order) => {
+    await creditSellerSales(order);
+    await emailOrderReceipt(order);
+  },
+  cancelled: async (order, userId) => {
+    await restoreStock(order);
+    await refundPayment(order, userId);
+  },
+};
+
+// effect: a rescheduled meetup gets a fresh window once a new slot is accepted
+const clearConfirmationDeadline = (order) => {
+  order.buyerConfirmationDeadline = undefined;
+};
+
+// effect: start the buyer confirmation window after the meetup ends
+const setMeetupConfirmationDeadline = (order) => {
+  const meetupEnd = new Date(order.meetupSchedule.acceptedSlot.endTime);
+  order.buyerConfirmationDeadline = new Date(
+    meetupEnd.getTime() + config.meetup.confirmationHoursAfter * 60 * 60 * 1000
+  );
+};
+
+// effect: start the buyer confirmation window
+const setConfirmationDeadline = (order) => {
+  if (!order.buyerConfirmationDeadline) {
+    order.buyerConfirmationDeadline = new Date(
+      Date.now() + BUYER_CONFIRMATION_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+};
+
+// effect: credit each seller for their items
+const creditSellerSales = async (order) => {
+  for (const item of order.items) {
+    const seller = await User.findById(item.seller._id || item.seller);
+    if (seller) {
+      await seller.incrementSales(item.price * item.quantity);
+    }
+  }
+};
+
+// effect: put reserved stock back on the shelf
+// (pre-order units that were never made just free up room under the cap)
+const restoreStock = async (order) => {
+  for (const item of order.items) {
+    const productId = item.product._id || item.product;
+
+    if (item.isPreOrder && !item.stockReadyAt) {
+      await Product.releasePreOrder(productId, item.quantity);
+      continue;
+    }
+
+    const product = await Product.findById(productId);
+    if (product) {
+      await product.incrementStock(item.quantity, item.variant);
+    }
+  }
+};
+
+// effect: give back what the buyer paid, the whole payment or just the
+// pre-order deposit (gateway payments are refunded through the gateway,
+// manual transfers by the seller in person)
+// the order is already cancelled, so a failed refund is logged rather than thrown
+const refundPayment = async (order, userId) => {
+  if (!['confirmed', 'partially_paid'].includes(order.paymentStatus)) {
+    return;
+  }
+
+  try {
+    await refundOrderPayment(order, order.refundableAmount, userId);
+  } catch (refundError) {
+    console.error(`failed to refund cancelled order ${order.orderNumber}:`, refundError.message);
+  }
+};
+
+// effect: email the buyer about the new status
+const notifyBuyer = async (order, newStatus) => {
+  const buyer = order.buyer?.email ? order.buyer : await User.findById(order.buyer);
+
+  if (buyer?.email) {
+    try {
+      const tracking = order.shipment?.trackingNumber ? order.shipment : null;
+      await sendOrderStatusEmail(buyer.email, order.orderNumber, newStatus, buyer.name, tracking);
+    } catch (emailError) {
+      console.error('failed to send status update email:', emailError.message);
+    }
+  }
+};
+
+
+// get the statuses an actor may move an order to
+// param {Object} order - order document
+// param {string} actor - buyer, seller, admin or system
+// returns {Array} allowed target statuses
+
+export const getAllowedTransitions = (order, actor) => {
+  const fromStatus = TRANSITIONS[order.deliveryMethod]?.[order.status] || {};
+
+  return Object.entries(fromStatus)
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([status]) => status);
+};
+
+
+// check whether an actor may move an order to a status (ignores guards)
+// param {Object} order - order document
+// param {string} newStatus - target status
+// param {string} actor - buyer, seller, admin or system
+// returns {boolean}
+
+export const canTransition = (order, newStatus, actor) => {
+  return getAllowedTransitions(order, actor).includes(newStatus);
+};
+
+
+// move an order to a new status, enforcing the rules and running side effects
+// param {Object} order - order document
+// param {string} newStatus - target status
+// param {Object} options - { actor, userId, note, notify }
+//   actor  - buyer, seller, admin or system
+//   userId - user making the change (omitted for system changes)
+//   note   - statusHistory note (cancellation reason for cancelled)
+//   notify - email the buyer (default true)
+// returns {Object} updated order
+
+export const transitionOrder = async (order, newStatus, options = {}) => {
+  const { actor, userId = null, note = '', notify = true } = options;
+
+  if (!ACTORS.includes(actor)) {
+    throw new Error(`Unknown order actor: ${actor}`);
+  }
+
+  const fromStatus = TRANSITIONS[order.deliveryMethod]?.[order.status];
+
+  if (!fromStatus?.[newStatus]) {
+    throw new AppError(
+      `Cannot change ${order.deliveryMethod} order status from ${order.status} to ${newStatus}`,
+      400
+    );
+  }
+
+  if (!fromStatus[newStatus].includes(actor)) {
+    throw new AppError(`The ${actor} cannot change order status to ${newStatus}`, 403);
+  }
+
+  GUARDS[newStatus]?.(order, actor);
+  BEFORE_SAVE[newStatus]?.(order);
+
+  // only save if the order is still in the status we checked, so two requests
+  // (or a request and a cron job) racing on the same order can't both apply
+  // the transition and run its side effects twice
+  order.$where = { status: order.status };
+
+  try {
+    if (newStatus === 'cancelled') {
+      await order.cancelOrder(userId, note);
+    } else {
+      await order.updateStatus(newStatus, userId, note);
+    }
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError ||
+        error instanceof mongoose.Error.VersionError) {
+      throw new AppError('Order was updated by someone else. Reload it and try again', 409);
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+
+  await AFTER_SAVE[newStatus]?.(order, userId);
+
+  if (notify) {
+    await notifyBuyer(order, newStatus);
+  }
+
+  return order;
+};
+
+export default {
+  ORDER_STATUSES,
+  ACTIVE_ORDER_STATUSES,
+  AWAITING_CONFIRMATION_STATUSES,
+  ACTORS,
+  BUYER_CONFIRMATION_DAYS,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrder,
+};
@@ -0,0 +1,519 @@
+import Order from '../models/Order.model.js';
+import PaymentIntent from '../models/PaymentIntent.model.js';
+import AppError from '../utils/AppError.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
+import { getGateway, signWebhookPayload, verifyWebhookSignature } from './paymentGateway.service.js';
+import { buildWebhookBody } from './mockPaymentGateway.service.js';
+import { uploadPaymentProof } from './cloudinary.service.js';
+
+// order payment status for each final gateway status
+const ORDER_PAYMENT_STATUS = {
+  succeeded: 'confirmed',
+  failed: 'failed',
+  refunded: 'refunded',
+};
+
+// update an order after one of its intents reaches a final status
+// a paid deposit stays on record if the balance payment fails
+const applyIntentResult = (order, intent, status, orderPaymentStatus) => {
+  const label = intent.purpose === 'full' ? 'payment' : intent.purpose;
+  const note = `${intent.method} ${label} ${status} (${intent.gatewayReference})`;
+
+  if (intent.purpose === 'deposit' && status === 'succeeded') {
+    return order.recordDepositPayment(intent.amount, null, note);
+  }
+
+  if (intent.purpose === 'balance' && status === 'failed') {
+    return order.updatePaymentStatus('partially_paid', null, note);
+  }
+
+  return order.updatePaymentStatus(orderPaymentStatus, null, note);
+};
+
+// whether an intent still pays what the order is waiting for; results for a
+// superseded intent, a cancelled or already paid order, or an amount the
+// seller has since changed must not move the order's payment status
+const isCurrentIntent = (order, intent) => {
+  return order.status !== 'cancelled' &&
+    ['pending', 'failed', 'partially_paid'].includes(order.paymentStatus) &&
+    getPaymentPurpose(order) === intent.purpose &&
+    intent.amount === order.amountDue;
+};
+
+// give back a gateway payment the order no longer needs and note it on the order
+const refundStrayPayment = async (order, intent) => {
+  const amount = intent.refundableAmount;
+  const gateway = getGateway(intent.gateway);
+  const refund = await gateway.refundPayment({
+    gatewayReference: intent.gatewayReference,
+    amount,
+  });
+
+  await intent.recordRefund(amount);
+
+  if (order) {
+    order.statusHistory.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `${intent.method} payment of ${amount} refunded, it no longer matched the order (${refund.refundReference})`,
+    });
+    await order.save();
+  }
+};
+
+// what the next payment for an order covers
+const getPaymentPurpose = (order) => {
+  if (order.isAwaitingDeposit) {
+    return 'deposit';
+  }
+  return order.deposit?.paidAt ? 'balance' : 'full';
+};
+
+
+// create (or reuse) a payment intent for an e-wallet order
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// returns {Object} payment intent with checkout url
+
+export const createPaymentIntent = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can pay for this order', 403);
+  }
+
+  if (!order.isEWalletPayment) {
+    throw new AppError('Order is not paid through an e-wallet', 400);
+  }
+
+  if (order.status === 'cancelled') {
+    throw new AppError('Cannot pay for a cancelled order', 400);
+  }
+
+  if (order.paymentStatus === 'confirmed') {
+    throw new AppError('Order has already been paid', 400);
+  }
+
+  if (order.isAwaitingAdjustmentApproval) {
+    throw new AppError('Review the seller\'s changes to this order before paying', 400);
+  }
+
+  // pre-orders with a deposit are paid in two parts: the deposit, then the balance
+  const purpose = getPaymentPurpose(order);
+  const amount = order.amountDue;
+
+  // reuse an open intent so refreshing the checkout page doesn't create duplicates
+  // (unless the seller has since changed the order total)
+  const existing = await PaymentIntent.findLatestForOrder(order._id);
+  if (
+    existing &&
+    existing.status === 'pending' &&
+    existing.expiresAt > new Date() &&
+    existing.amount === amount &&
+    existing.purpose === purpose
+  ) {
+    return existing;
+  }
+
+  // older checkouts can't be used any more (a payment that still comes
+  // through on one is refunded by the webhook handler)
+  await PaymentIntent.updateMany(
+    { order: order._id, status: 'pending' },
+    {
+      $set: { status: 'cancelled' },
+      $push: { events: { type: 'superseded', status: 'cancelled', receivedAt: new Date() } },
+    }
+  );
+
+  const gateway = getGateway();
+  const payment = await gateway.createPayment({
+    reference: purpose === 'full' ? order.orderNumber : `${order.orderNumber}-${purpose.toUpperCase()}`,
+    amount,
+    currency: 'PHP',
+    method: order.paymentMethod,
+    description: `AnimoMart order #${order.orderNumber}${purpose === 'full' ? '' : ` (${purpose})`}`,
+  });
+
+  const intent = await PaymentIntent.create({
+    order: order._id,
+    buyer: order.buyer,
+    amount,
+    purpose,
+    method: order.paymentMethod,
+    gateway: gateway.name,
+    gatewayReference: payment.gatewayReference,
+    checkoutUrl: payment.checkoutUrl,
+    expiresAt: payment.expiresAt,
+  });
+
+  return intent;
+};
+
+
+// get payment status and latest intent for an order
+// param {string} orderId - order ID
+// param {string} userId - buyer or seller user ID
+// returns {Object} payment details
+
+export const getOrderPayment = async (orderId, userId) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const isBuyer = order.buyer.toString() === userId;
+  const isSeller = order.items.some(item => item.seller.toString() === userId);
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('You do not have access to this order', 403);
+  }
+
+  const intent = await PaymentIntent.findLatestForOrder(order._id);
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    intent,
+  };
+};
+
+
+// handle a signed gateway webhook
+// results that no longer fit the order (superseded intents, cancelled or
+// already paid orders, changed totals) leave it alone; such payments are refunded
+// param {string} gatewayName - gateway that sent the webhook
+// param {Buffer|string} rawBody - raw request body (used for the signature)
+// param {string} signature - signature header
+// param {Object} body - parsed request body
+// returns {Object} processing result
+
+export const handleWebhook = async (gatewayName, rawBody, signature, body) => {
+  if (!verifyWebhookSignature(rawBody, signature)) {
+    throw new AppError('Invalid webhook signature', 401);
+  }
+
+  const gateway = getGateway(gatewayName);
+  const event = gateway.parseWebhook(body);
+
+  if (!event.status) {
+    return { processed: false, reason: `Ignored event ${event.eventType}` };
+  }
+
+  const intent = await PaymentIntent.findOne({
+    gateway: gateway.name,
+    gatewayReference: event.gatewayReference,
+  });
+
+  if (!intent) {
+    throw new AppError('Payment intent not found', 404);
+  }
+
+  // gateways retry webhooks, so a repeated event is acknowledged without changes
+  if (intent.isFinal) {
+    return { processed: false, reason: 'Payment intent already finalized', intent };
+  }
+
+  await intent.applyGatewayEvent(event.eventType, event.status);
+
+  const orderPaymentStatus = ORDER_PAYMENT_STATUS[event.status];
+  if (!orderPaymentStatus) {
+    return { processed: true, intent };
+  }
+
+  const order = await Order.findById(intent.order);
+
+  if (['succeeded', 'failed'].includes(event.status) && (!order || !isCurrentIntent(order, intent))) {
+    // money taken for an order that no longer wants it goes straight back
+    if (event.status === 'succeeded') {
+      await refundStrayPayment(order, intent);
+      return { processed: true, refunded: true, intent };
+    }
+
+    return { processed: false, reason: 'Payment intent no longer applies to the order', intent };
+  }
+
+  if (order) {
+    await applyIntentResult(order, intent, event.status, orderPaymentStatus);
+  }
+
+  return { processed: true, intent };
+};
+
+
+// simulate the mock gateway completing a payment (local testing only)
+// param {string} gatewayReference - mock payment reference
+// param {string} userId - buyer user ID
+// param {string} outcome - 'paid', 'failed' or 'expired'
+// returns {Object} processing result
+
+export const simulateMockPayment = async (gatewayReference, userId, outcome = 'paid') => {
+  const intent = await PaymentIntent.findOne({ gateway: 'mock', gatewayReference });
+
+  if (!intent) {
+    throw new AppError('Payment intent not found', 404);
+  }
+
+  if (intent.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can complete this payment', 403);
+  }
+
+  const body = buildWebhookBody(gatewayReference, outcome);
+  const rawBody = JSON.stringify(body);
+
+  return handleWebhook('mock', rawBody, signWebhookPayload(rawBody), body);
+};
+
+// refund part or all of an order's payment
+// e-wallet payments made through a gateway are refunded there; cash and
+// manual transfers are refunded by the seller in person. the order is marked
+// refunded once everything paid has been refunded, partially_refunded before that
+// param {Object} order - order document
+// param {number} amount - amount to refund (capped at what is still refundable)
+// param {string} userId - user issuing the refund
+// returns {string|null} gateway refund reference
+
+export const refundOrderPayment = async (order, amount, userId) => {
+  const refundAmount = Math.min(amount, order.refundableAmount);
+
+  if (refundAmount <= 0) {
+    throw new AppError('Order has already been fully refunded', 400);
+  }
+
+  const refundReferences = [];
+
+  // pre-orders can have two paid intents (deposit and balance)
+  const intents = await PaymentIntent.find({
+    order: order._id,
+    status: { $in: ['succeeded', 'partially_refunded'] },
+  }).sort({ createdAt: 1 });
+
+  let remaining = refundAmount;
+
+  for (const intent of intents) {
+    if (remaining <= 0) break;
+
+    const intentRefund = Math.min(remaining, intent.refundableAmount);
+    if (intentRefund <= 0) continue;
+
+    const gateway = getGateway(intent.gateway);
+    const refund = await gateway.refundPayment({
+      gatewayReference: intent.gatewayReference,
+      amount: intentRefund,
+    });
+
+    refundReferences.push(refund.refundReference);
+    remaining -= intentRefund;
+    await intent.recordRefund(intentRefund);
+  }
+
+  const refundReference = refundReferences.join(', ') || null;
+
+  await order.recordRefund(
+    refundAmount,
+    userId,
+    `refunded ${refundAmount}${refundReference ? ` (${refundReference})` : ''}`
+  );
+
+  return refundReference;
+};
+
+
+// submit proof of a manual e-wallet transfer (buyer only)
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// param {Buffer} fileBuffer - receipt image from multer
+// param {Object} proofData - { referenceNumber, amount }
+// returns {Object} updated order
+
+export const submitPaymentProof = async (orderId, userId, fileBuffer, proofData) => {
+  const { referenceNumber, amount } = proofData;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can submit payment proof', 403);
+  }
+
+  if (!order.isEWalletPayment) {
+    throw new AppError('Payment proof is only accepted for e-wallet orders', 400);
+  }
+
+  if (order.status === 'cancelled') {
+    throw new AppError('Cannot submit payment proof for a cancelled order', 400);
+  }
+
+  if (order.paymentStatus === 'confirmed') {
+    throw new AppError('Order has already been paid', 400);
+  }
+
+  // a new proof is only accepted when there is none yet or the last one was rejected
+  const proofStatus = order.paymentProof?.status;
+  if (proofStatus === 'submitted' || proofStatus === 'disputed') {
+    throw new AppError(`Payment proof is already ${proofStatus}`, 400);
+  }
+
+  const upload = await uploadPaymentProof(fileBuffer, order._id.toString());
+
+  order.paymentProof = {
+    imageUrl: upload.url,
+    referenceNumber,
+    amount: Number(amount),
+    status: 'submitted',
+    submittedAt: new Date(),
+  };
+
+  // a paid deposit stays on record while the balance proof is reviewed
+  await order.updatePaymentStatus(
+    order.paymentStatus === 'partially_paid' ? 'partially_paid' : 'pending',
+    userId,
+    `payment proof submitted (ref ${referenceNumber})`
+  );
+
+  return order;
+};
+
+
+// confirm or reject a submitted payment proof (seller only)
+// param {string} orderId - order ID
+// param {string} userId - seller user ID
+// param {string} decision - 'confirm' or 'reject'
+// param {string} reason - rejection reason
+// returns {Object} updated order
+
+export const reviewPaymentProof = async (orderId, userId, decision, reason = '') => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const isSeller = order.items.some(item => item.seller.toString() === userId);
+
+  if (!isSeller) {
+    throw new AppError('Only the seller can review payment proof', 403);
+  }
+
+  if (order.paymentProof?.status !== 'submitted') {
+    throw new AppError('There is no payment proof awaiting review', 400);
+  }
+
+  order.paymentProof.reviewedBy = userId;
+  order.paymentProof.reviewedAt = new Date();
+
+  if (decision === 'confirm') {
+    order.paymentProof.status = 'confirmed';
+    const note = `payment proof confirmed (ref ${order.paymentProof.referenceNumber})`;
+
+    if (order.isAwaitingDeposit) {
+      await order.recordDepositPayment(order.deposit.amount, userId, note);
+    } else {
+      await order.updatePaymentStatus('confirmed', userId, note);
+    }
+  } else {
+    if (!reason) {
+      throw new AppError('A reason is required when rejecting payment proof', 400);
+    }
+
+    order.paymentProof.status = 'rejected';
+    order.paymentProof.rejectionReason = reason;
+
+    await order.updatePaymentStatus(
+      order.deposit?.paidAt ? 'partially_paid' : 'failed',
+      userId,
+      `payment proof rejected: ${reason}`
+    );
+  }
+
+  return order;
+};
+
+
+// dispute a rejected payment proof so an admin can look at it (buyer only)
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// param {string} reason - dispute reason
+// returns {Object} updated order
+
+export const disputePaymentProof = async (orderId, userId, reason) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can dispute a payment proof rejection', 403);
+  }
+
+  if (order.paymentProof?.status !== 'rejected') {
+    throw new AppError('Only rejected payment proofs can be disputed', 400);
+  }
+
+  order.paymentProof.status = 'disputed';
+  order.paymentProof.disputeReason = reason;
+  order.paymentProof.disputedAt = new Date();
+
+  order.statusHistory.push({
+    status: order.status,
+    updatedBy: userId,
+    timestamp: new Date(),
+    note: `payment proof rejection disputed: ${reason}`,
+  });
+
+  await order.save();
+
+  return order;
+};
+
+
+// get orders with disputed payment proofs (admin only)
+// param {Object} filters - { page or cursor, limit }
+// returns {Object} orders and pagination
+
+export const getDisputedPayments = async (filters = {}) => {
+  const { cursor, page, limit } = filters;
+
+  const query = { 'paymentProof.status': 'disputed' };
+  const paging = getPaginationOptions({ cursor, page, limit, sortBy: 'paymentProof.disputedAt' });
+
+  const docs = await Order.find(applyCursor(query, paging))
+    .populate('buyer', 'name email profilePicture')
+    .populate('items.seller', 'name email profilePicture')
+    .populate('paymentProof.reviewedBy', 'name')
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
+
+  const { items: orders, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Order.countDocuments(query),
+    totalKey: 'totalOrders',
+  });
+
+  return {
+    orders,
+    pagination,
+  };
+};
+
+export default {
+  createPaymentIntent,
+  getOrderPayment,
+  handleWebhook,
+  simulateMockPayment,
+  refundOrderPayment,
+  submitPaymentProof,
+  reviewPaymentProof,
+  disputePaymentProof,
+  getDisputedPayments,
+};
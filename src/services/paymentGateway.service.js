@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import AppError from '../utils/AppError.js';
+import mockPaymentGateway from './mockPaymentGateway.service.js';
+
+// payment gateway adapter registry
+//
+// every gateway adapter is a plain object implementing:
+//   name                                   - key used in config.payment.gateway and webhook urls
+//   createPayment({ reference, amount, currency, method, description })
+//                                          - returns { gatewayReference, checkoutUrl, expiresAt }
+//   parseWebhook(body)                     - returns { gatewayReference, eventType, status }
+//                                            status is one of succeeded, failed, expired
+//   refundPayment({ gatewayReference, amount })
+//                                          - returns { refundReference }
+//
+// webhook signatures are checked here (verifyWebhookSignature) before any
+// adapter sees the payload, so adapters only translate gateway formats
+
+const gateways = new Map();
+
+// register a gateway adapter
+// param {Object} gateway - adapter implementing the interface above
+
+export const registerGateway = (gateway) => {
+  const requiredMethods = ['createPayment', 'parseWebhook', 'refundPayment'];
+  const missing = requiredMethods.filter(method => typeof gateway[method] !== 'function');
+
+  if (!gateway.name || missing.length > 0) {
+    throw new Error(`Invalid payment gateway adapter: missing ${missing.join(', ') || 'name'}`);
+  }
+
+  gateways.set(gateway.name, gateway);
+};
+
+// get a gateway adapter by name (defaults to the configured gateway)
+// param {string} name - gateway name
+// returns {Object} gateway adapter
+
+export const getGateway = (name = config.payment.gateway) => {
+  const gateway = gateways.get(name);
+
+  if (!gateway) {
+    throw new AppError(`Payment gateway "${name}" is not available`, 400);
+  }
+
+  return gateway;
+};
+
+// sign a raw webhook body with the shared secret
+// param {Buffer|string} rawBody - raw request body
+// returns {string} hex hmac-sha256 signature
+
+export const signWebhookPayload = (rawBody) => {
+  return crypto
+    .createHmac('sha256', config.payment.webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+};
+
+// verify a webhook signature against the raw body
+// param {Buffer|string} rawBody - raw request body
+// param {string} signature - signature header sent by the gateway
+// returns {boolean} whether the signature is valid
+
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(rawBody), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+registerGateway(mockPaymentGateway);
+
+export default {
+  registerGateway,
+  getGateway,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
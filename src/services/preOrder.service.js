@@ -0,0 +1,152 @@
+import Product from '../models/Product.model.js';
+import Order from '../models/Order.model.js';
+import AppError from '../utils/AppError.js';
+import { transitionOrder } from './orderStateMachine.service.js';
+
+// pre-order batches
+// orders for a pre-order listing wait in awaiting_stock until the seller marks
+// the batch ready; buyers are emailed by the move to pending
+
+// find a seller's own pre-order listing
+const findSellerPreOrderProduct = async (productId, sellerId) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+
+  if (product.seller.toString() !== sellerId) {
+    throw new AppError('You can only manage pre-orders for your own products', 403);
+  }
+
+  if (!product.isPreOrder) {
+    throw new AppError('Product is not taking pre-orders', 400);
+  }
+
+  return product;
+};
+
+// orders still waiting on a product's batch, oldest first
+const findWaitingOrders = (productId) => {
+  return Order.find({
+    status: 'awaiting_stock',
+    items: { $elemMatch: { product: productId, isPreOrder: true, stockReadyAt: null } },
+  })
+    .populate('buyer', 'name email')
+    .sort({ createdAt: 1 });
+};
+
+
+// get the orders reserved against a pre-order listing (seller only)
+// param {string} productId - product ID
+// param {string} sellerId - seller user ID
+// returns {Object} listing pre-order details and reservations
+
+export const getPreOrderReservations = async (productId, sellerId) => {
+  const product = await findSellerPreOrderProduct(productId, sellerId);
+  const orders = await findWaitingOrders(product._id);
+
+  const reservations = orders.map((order) => {
+    const item = order.items.find(
+      orderItem => orderItem.product.toString() === product._id.toString()
+    );
+
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      buyer: order.buyer,
+      quantity: item.quantity,
+      depositAmount: order.deposit?.amount || 0,
+      depositPaid: !order.isAwaitingDeposit,
+      createdAt: order.createdAt,
+    };
+  });
+
+  return {
+    productId: product._id,
+    productName: product.name,
+    preOrder: product.preOrder,
+    remaining: product.preOrderRemaining,
+    reservations,
+  };
+};
+
+
+// mark a pre-order batch as made (seller only)
+// waiting orders move to pending and their buyers are notified; orders whose
+// deposit is still unpaid are cancelled and their units go back into stock.
+// the listing then goes back to selling from stock
+// param {string} productId - product ID
+// param {string} sellerId - seller user ID
+// param {Object} batchData - { stock } extra units made for regular sale
+// returns {Object} updated product and counts
+
+export const markPreOrderBatchReady = async (productId, sellerId, batchData = {}) => {
+  const { stock = 0 } = batchData;
+
+  const product = await findSellerPreOrderProduct(productId, sellerId);
+
+  // variant stock is summed from the variants, so it can't be added here
+  // (listings from before variants were barred from pre-orders)
+  if (product.hasVariants && Number(stock) > 0) {
+    throw new AppError('Add the extra stock to each variant by editing the listing instead', 400);
+  }
+
+  // close the batch first so stock restored by cancellations below isn't overwritten
+  product.preOrder.enabled = false;
+  product.preOrder.reservedQuantity = 0;
+  product.stock += Number(stock);
+  if (product.stock === 0) {
+    product.status = 'sold';
+  }
+  await product.save();
+
+  const orders = await findWaitingOrders(product._id);
+  const readyAt = new Date();
+
+  let releasedCount = 0;
+  let cancelledCount = 0;
+  let waitingCount = 0;
+
+  for (const order of orders) {
+    try {
+      order.items
+        .filter(item => item.isPreOrder && item.product.toString() === product._id.toString())
+        .forEach((item) => {
+          item.stockReadyAt = readyAt;
+        });
+
+      if (order.isAwaitingDeposit) {
+        await transitionOrder(order, 'cancelled', {
+          actor: 'system',
+          note: 'system: pre-order deposit was not paid before the batch was ready',
+        });
+        cancelledCount++;
+      } else if (order.items.every(item => !item.isPreOrder || item.stockReadyAt)) {
+        await transitionOrder(order, 'pending', {
+          actor: 'system',
+          note: `pre-order stock ready: ${product.name}`,
+        });
+        releasedCount++;
+      } else {
+        // still waiting on another listing's batch
+        await order.save();
+        waitingCount++;
+      }
+    } catch (error) {
+      console.error(`failed to release pre-order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  return {
+    product,
+    releasedCount,
+    cancelledCount,
+    waitingCount,
+  };
+};
+
+export default {
+  getPreOrderReservations,
+  markPreOrderBatchReady,
+};
@@ -1,9 +1,281 @@
 import Product from '../models/Product.model.js';
 import User from '../models/User.model.js';
+import Order from '../models/Order.model.js';
+import ReturnRequest from '../models/ReturnRequest.model.js';
 import AppError from '../utils/AppError.js';
-import { getCategoryFilterQuery, isValidSubcategory } from '../utils/categoryUtils.js';
+import config from '../config/config.js';
+import {
+  getCategoryFilterQuery,
+  isValidSubcategory,
+  getTaxonomy,
+  getMainCategoryForSubcategory,
+  validateProductAttributes,
+  getAttributeFilterQuery,
+  getAttributeDefinitions,
+} from '../utils/categoryUtils.js';
+import { sendListingExpiryReminderEmail } from '../utils/emailService.js';
 import { generateProductEmbedding } from './productEmbeddings.service.js';
 import { findSimilarProducts } from '../utils/vectorUtils.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
+import { ACTIVE_ORDER_STATUSES } from './orderStateMachine.service.js';
+
+// match sent variants to the existing ones by _id, then by sku, so orders
+// keep pointing at the same variant. variants left out are removed, unless
+// an open order or return still needs their stock
+// returns {Array} the new variant list
+const mergeVariants = async (product, variants) => {
+  const matched = new Set();
+
+  const merged = variants.map((variant) => {
+    const sku = variant.sku?.trim().toUpperCase();
+    const existing = variant._id
+      ? product.variants.id(variant._id)
+      : product.variants.find(current => current.sku === sku && !matched.has(current.id));
+
+    if (variant._id && (!existing || matched.has(existing.id))) {
+      throw new AppError(`Variant ${variant._id} is missing from this product or sent twice`, 400);
+    }
+    if (!existing) {
+      return variant;
+    }
+
+    matched.add(existing.id);
+    return { ...variant, _id: existing._id };
+  });
+
+  const removed = product.variants.filter(variant => !matched.has(variant.id));
+  if (removed.length === 0) {
+    return merged;
+  }
+
+  const removedIds = removed.map(variant => variant._id);
+  const [orderVariants, returnVariants] = await Promise.all([
+    Order.distinct('items.variant', {
+      status: { $in: ACTIVE_ORDER_STATUSES },
+      'items.variant': { $in: removedIds },
+    }),
+    ReturnRequest.distinct('items.variant', {
+      status: { $in: ['requested', 'approved'] },
+      'items.variant': { $in: removedIds },
+    }),
+  ]);
+
+  const inUse = new Set([...orderVariants, ...returnVariants].map(String));
+  const blocked = removed.filter(variant => inUse.has(variant.id));
+
+  if (blocked.length > 0) {
+    throw new AppError(
+      `Variants with open orders or returns can't be removed: ${blocked.map(variant => variant.sku).join(', ')}`,
+      409
+    );
+  }
+
+  return merged;
+};
+
+// check attribute values against the category's schema
+// returns {Array} normalized [{ key, value }] pairs
+const resolveAttributes = async (category, values, options = {}) => {
+  const { attributes, errors } = await validateProductAttributes(category, values, options);
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join('. '), 400);
+  }
+
+  return attributes;
+};
+
+// aggregation stages counting attribute values (run after a $match)
+const ATTRIBUTE_FACET_STAGES = [
+  { $unwind: '$attributes' },
+  { $group: { _id: { key: '$attributes.key', value: '$attributes.value' }, count: { $sum: 1 } } },
+  { $sort: { count: -1, '_id.value': 1 } },
+  { $group: { _id: '$_id.key', values: { $push: { value: '$_id.value', count: '$count' } } } },
+  { $project: { values: { $slice: ['$values', 20] } } },
+];
+
+// label attribute value counts with their definitions (non-filterable ones are dropped)
+// labels and units come from the filtered category's schema when there is one
+// returns {Array} [{ key, label, type, unit, values: [{ value, count }] }]
+const formatAttributeFacets = async (groups, category = null) => {
+  const definitions = await getAttributeDefinitions(category);
+
+  return groups
+    .filter(group => definitions.get(group._id)?.filterable)
+    .map((group) => {
+      const definition = definitions.get(group._id);
+      return {
+        key: group._id,
+        label: definition.label,
+        type: definition.type,
+        unit: definition.unit,
+        values: group.values,
+      };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+// count attribute values across the products matching a query
+const getAttributeFacets = async (match, category = null) => {
+  const groups = await Product.aggregate([{ $match: match }, ...ATTRIBUTE_FACET_STAGES]);
+  return formatAttributeFacets(groups, category);
+};
+
+// price bucket boundaries (pesos) for the faceted listing
+const PRICE_FACET_BOUNDARIES = [0, 100, 250, 500, 1000, 2500, 5000];
+
+// rating band boundaries (the last one lets 5.0 fall in the top band);
+// ratings below 1 mean no reviews yet
+const RATING_FACET_BOUNDARIES = [1, 2, 3, 4, 4.5, 5.01];
+
+// turn $bucket output into { min, max, count } ranges. max is exclusive
+// (or the cap, for scales like ratings that top out) and null for the
+// open-ended top price range; unrated buckets have no bounds
+const toRangeCounts = (buckets, boundaries, cap = null) => {
+  return buckets.map(({ _id, count }) => {
+    if (_id === 'unrated') {
+      return { label: 'unrated', min: null, max: null, count };
+    }
+    if (_id === 'above') {
+      return { min: boundaries[boundaries.length - 1], max: null, count };
+    }
+
+    const next = boundaries[boundaries.indexOf(_id) + 1];
+    return { min: _id, max: cap !== null ? Math.min(next, cap) : next, count };
+  });
+};
+
+// build the product filter shared by the listing endpoints
+// param {Object} filters - { category, condition, minPrice, maxPrice, search,
+//   attributes, shippingAvailable, minRating, sellerId, status }
+// returns {Object} mongo query
+const buildProductQuery = async (filters) => {
+  const {
+    category,
+    condition,
+    minPrice,
+    maxPrice,
+    search,
+    attributes,
+    shippingAvailable,
+    minRating,
+    sellerId,
+    status,
+  } = filters;
+
+  const query = {};
+
+  // apply filters
+  if (status !== undefined) query.status = status;
+
+  // category filtering
+  if (category) {
+    const categoryFilter = await getCategoryFilterQuery(category);
+    if (categoryFilter === null) {
+      throw new AppError('Invalid category provided', 400);
+    }
+    query.category = categoryFilter;
+  }
+
+  // attribute filtering, e.g. { ram: ['8', '16'], brand: 'Lenovo' }
+  if (attributes && Object.keys(attributes).length > 0) {
+    const attributeFilter = await getAttributeFilterQuery(attributes, category);
+    if (attributeFilter === null) {
+      throw new AppError('Invalid attribute filter provided', 400);
+    }
+    query.attributes = attributeFilter;
+  }
+
+  if (condition) query.condition = Array.isArray(condition) ? { $in: condition } : condition;
+  if (sellerId) query.seller = sellerId;
+  if (shippingAvailable !== undefined) query.shippingAvailable = shippingAvailable;
+  if (minRating !== undefined) query.averageRating = { $gte: Number(minRating) };
+
+  // price range
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) query.price.$gte = Number(minPrice);
+    if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
+  }
+
+  // text search
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  return query;
+};
+
+// status for a listing going on sale
+const getListedStatus = (product) => {
+  return product.stock > 0 || product.preOrder?.enabled ? 'active' : 'sold';
+};
+
+// default expiry for a listing published at the given time
+const getDefaultExpiry = (from = new Date()) => {
+  const expiresAt = new Date(Math.max(new Date(from).getTime(), Date.now()));
+  expiresAt.setDate(expiresAt.getDate() + config.listings.defaultDurationDays);
+  return expiresAt;
+};
+
+// apply seller publish/expiry dates to a product
+// a future publishAt keeps the listing hidden as 'scheduled' until the
+// listing scheduler publishes it
+const applyListingSchedule = (product, schedule) => {
+  const { publishAt, expiresAt } = schedule;
+  const now = new Date();
+
+  if (publishAt !== undefined) {
+    product.publishAt = publishAt ? new Date(publishAt) : null;
+  }
+
+  if (expiresAt !== undefined) {
+    product.expiresAt = expiresAt ? new Date(expiresAt) : null;
+    product.expiryReminderSentAt = null;
+
+    if (product.expiresAt && product.expiresAt <= now) {
+      throw new AppError('Expiry date must be in the future', 400);
+    }
+  }
+
+  const isFuture = product.publishAt && product.publishAt > now;
+
+  if (isFuture && ['active', 'scheduled'].includes(product.status)) {
+    product.status = 'scheduled';
+  } else if (!isFuture && product.status === 'scheduled') {
+    product.status = getListedStatus(product);
+  }
+};
+
+// apply seller pre-order settings to a product
+// the reserved count is never taken from the request
+const applyPreOrderSettings = (product, settings) => {
+  const { enabled, expectedAvailableAt, maxQuantity, depositPercent } = settings;
+  const reserved = product.preOrder?.reservedQuantity || 0;
+
+  if (enabled === false && reserved > 0) {
+    throw new AppError(
+      `Mark the pre-order batch ready before turning off pre-orders (${reserved} units reserved)`,
+      400
+    );
+  }
+
+  if (maxQuantity && maxQuantity < reserved) {
+    throw new AppError(`Pre-order limit cannot be below the ${reserved} units already reserved`, 400);
+  }
+
+  if (enabled !== undefined) product.preOrder.enabled = enabled;
+  if (expectedAvailableAt !== undefined) product.preOrder.expectedAvailableAt = expectedAvailableAt;
+  if (maxQuantity !== undefined) product.preOrder.maxQuantity = maxQuantity || undefined;
+  if (depositPercent !== undefined) product.preOrder.depositPercent = depositPercent;
+
+  if (product.preOrder.enabled && !product.preOrder.expectedAvailableAt) {
+    throw new AppError('Expected availability date is required for pre-orders', 400);
+  }
+};
 
 
 // create a new product
@@ -19,19 +291,36 @@ export const createProduct = async (sellerId, productData) => {
   }
 
   // validate category is a valid subcategory (not a main category)
-  if (productData.category && !isValidSubcategory(productData.category)) {
+  if (productData.category && !(await isValidSubcategory(productData.category))) {
     throw new AppError(
       'Category must be a valid subcategory. Main categories are not accepted.',
       400
     );
   }
 
+  const { preOrder, attributes, publishAt, expiresAt, ...fields } = productData;
+
   // create product
-  const product = await Product.create({
-    ...productData,
+  const product = new Product({
+    ...fields,
     seller: sellerId,
   });
 
+  applyListingSchedule(product, {
+    publishAt,
+    expiresAt: expiresAt || getDefaultExpiry(publishAt),
+  });
+
+  if (product.category) {
+    product.attributes = await resolveAttributes(product.category, attributes || {});
+  }
+
+  if (preOrder) {
+    applyPreOrderSettings(product, preOrder);
+  }
+
+  await product.save();
+
   try {
     product.embedding = await generateProductEmbedding(product);
     await product.save();
@@ -104,13 +393,24 @@ export const updateProduct = async (productId, sellerId, updateData) => {
   }
 
   // validate category if being updated
-  if (updateData.category && !isValidSubcategory(updateData.category)) {
+  if (updateData.category && !(await isValidSubcategory(updateData.category))) {
     throw new AppError(
       'Category must be a valid subcategory. Main categories are not accepted.',
       400
     );
   }
 
+  if (updateData.status === 'active' && product.status === 'expired') {
+    throw new AppError('This listing has expired. Renew it to put it back on sale', 400);
+  }
+
+  // activating a scheduled listing publishes it now
+  if (updateData.status === 'active' && product.status === 'scheduled' && updateData.publishAt === undefined) {
+    updateData.publishAt = null;
+  }
+
+  const categoryChanged = updateData.category !== undefined && updateData.category !== product.category;
+
   // fields that can be updated
   const allowedUpdates = [
     'name',
@@ -123,6 +423,7 @@ export const updateProduct = async (productId, sellerId, updateData) => {
     'shippingAvailable',
     'shippingFee',
     'status',
+    'options',
   ];
 
   // update only allowed fields
@@ -132,7 +433,33 @@ export const updateProduct = async (productId, sellerId, updateData) => {
     }
   });
 
-  const relevantFields = ['name', 'description', 'category', 'condition'];
+  if (updateData.variants !== undefined) {
+    product.variants = await mergeVariants(product, updateData.variants);
+  }
+
+  if (updateData.preOrder) {
+    applyPreOrderSettings(product, updateData.preOrder);
+  }
+
+  if (updateData.publishAt !== undefined || updateData.expiresAt !== undefined) {
+    applyListingSchedule(product, {
+      publishAt: updateData.publishAt,
+      expiresAt: updateData.expiresAt,
+    });
+  }
+
+  // re-check attributes against the (possibly new) category; values the new
+  // category doesn't define are dropped when none were sent
+  if (updateData.attributes !== undefined || categoryChanged) {
+    const values = updateData.attributes
+      ?? Object.fromEntries(product.attributes.map(attribute => [attribute.key, attribute.value]));
+
+    product.attributes = await resolveAttributes(product.category, values, {
+      dropUnknown: updateData.attributes === undefined,
+    });
+  }
+
+  const relevantFields = ['name', 'description', 'category', 'condition', 'attributes'];
   const fieldsChanged = relevantFields.some(field => updateData[field] !== undefined);
 
   if (fieldsChanged) {
@@ -178,73 +505,139 @@ export const deleteProduct = async (productId, sellerId) => {
 
 
 // get all products with filters
-// param {Object} filters - filter options
-// returns {Object} products and pagination
+// attribute facets cover the whole result set, so they are only counted for
+// the first page (later pages return null; keep the first page's)
+// param {Object} filters - filter options plus page or cursor, limit, sortBy, sortOrder
+// returns {Object} products, facets and pagination
 
 export const getAllProducts = async (filters = {}) => {
+  const { cursor, page, limit, sortBy = 'createdAt', sortOrder = 'desc' } = filters;
+
+  const query = await buildProductQuery(filters);
+  const paging = getPaginationOptions({ cursor, page, limit, sortBy, sortOrder });
+
+  const docs = await Product.find(applyCursor(query, paging))
+    .populate('seller', '_id name profilePicture sellerInfo')
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
+
+  const { items: products, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => Product.countDocuments(query),
+    totalKey: 'totalProducts',
+  });
+  const isFirstPage = paging.page === 1 || (paging.page === null && !paging.cursor);
+  const facets = isFirstPage ? await getAttributeFacets(query, filters.category) : null;
+
+  return {
+    products,
+    facets,
+    pagination,
+  };
+};
+
+
+// get products with facet counts for the filter sidebar
+// every facet is counted over the same filters as the products, in one
+// $facet aggregation
+// param {Object} filters - getAllProducts filters plus shippingAvailable,
+//   minRating and minSellerRating
+// returns {Object} products, facets and pagination
+
+export const getFacetedProducts = async (filters = {}) => {
   const {
-    category,
-    condition,
-    minPrice,
-    maxPrice,
-    search,
-    sellerId,
-    status,
+    minSellerRating,
     page = 1,
     limit = 20,
     sortBy = 'createdAt',
     sortOrder = 'desc',
   } = filters;
 
-  const query = {};
-
-  // apply filters
-  if (status !== undefined) query.status = status;
-
-  // category filtering
-  if (category) {
-    const categoryFilter = getCategoryFilterQuery(category);
-    if (categoryFilter === null) {
-      throw new AppError('Invalid category provided', 400);
-    }
-    query.category = categoryFilter;
-  }
+  const query = await buildProductQuery(filters);
+  const skip = (page - 1) * limit;
 
-  if (condition) query.condition = condition;
-  if (sellerId) query.seller = sellerId;
+  const sellerStages = [
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'seller',
+        foreignField: '_id',
+        as: 'seller',
+        pipeline: [{ $project: { name: 1, profilePicture: 1, sellerInfo: 1 } }],
+      },
+    },
+    { $unwind: '$seller' },
+    { $addFields: { sellerRating: { $ifNull: ['$seller.sellerInfo.averageRating', 0] } } },
+  ];
 
-  // price range
-  if (minPrice !== undefined || maxPrice !== undefined) {
-    query.price = {};
-    if (minPrice !== undefined) query.price.$gte = Number(minPrice);
-    if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
+  if (minSellerRating !== undefined) {
+    sellerStages.push({ $match: { sellerRating: { $gte: Number(minSellerRating) } } });
   }
 
-  // text search
-  if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-    ];
+  const [result] = await Product.aggregate([
+    { $match: query },
+    { $project: { embedding: 0 } },
+    ...sellerStages,
+    {
+      $facet: {
+        products: [
+          { $sort: { [sortBy]: sortOrder === 'asc' ? 1 : -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        total: [{ $count: 'count' }],
+        subcategories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        conditions: [
+          { $group: { _id: '$condition', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        priceRanges: [
+          { $bucket: { groupBy: '$price', boundaries: PRICE_FACET_BOUNDARIES, default: 'above' } },
+        ],
+        shipping: [
+          { $group: { _id: '$shippingAvailable', count: { $sum: 1 } } },
+        ],
+        sellerRatings: [
+          { $bucket: { groupBy: '$sellerRating', boundaries: RATING_FACET_BOUNDARIES, default: 'unrated' } },
+        ],
+        ratings: [
+          { $bucket: { groupBy: '$averageRating', boundaries: RATING_FACET_BOUNDARIES, default: 'unrated' } },
+        ],
+        attributes: ATTRIBUTE_FACET_STAGES,
+      },
+    },
+  ]);
+
+  // roll subcategory counts up into their main categories
+  const mainCategoryCounts = {};
+  const subcategories = [];
+  for (const { _id: name, count } of result.subcategories) {
+    const mainCategory = await getMainCategoryForSubcategory(name);
+    subcategories.push({ name, mainCategory, count });
+    if (mainCategory) {
+      mainCategoryCounts[mainCategory] = (mainCategoryCounts[mainCategory] || 0) + count;
+    }
   }
 
-  // pagination
-  const skip = (page - 1) * limit;
-
-  // sorting
-  const sort = {};
-  sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-
-  const products = await Product.find(query)
-    .populate('seller', '_id name profilePicture sellerInfo')
-    .sort(sort)
-    .limit(limit)
-    .skip(skip);
-
-  const total = await Product.countDocuments(query);
+  const total = result.total[0]?.count || 0;
 
   return {
-    products,
+    products: result.products,
+    facets: {
+      mainCategories: Object.entries(mainCategoryCounts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count),
+      subcategories,
+      conditions: result.conditions.map(({ _id, count }) => ({ condition: _id, count })),
+      priceRanges: toRangeCounts(result.priceRanges, PRICE_FACET_BOUNDARIES),
+      shipping: result.shipping.map(({ _id, count }) => ({ shippingAvailable: Boolean(_id), count })),
+      sellerRatings: toRangeCounts(result.sellerRatings, RATING_FACET_BOUNDARIES, 5),
+      ratings: toRangeCounts(result.ratings, RATING_FACET_BOUNDARIES, 5),
+      attributes: await formatAttributeFacets(result.attributes, filters.category),
+    },
     pagination: {
       currentPage: page,
       totalPages: Math.ceil(total / limit),
@@ -292,7 +685,15 @@ export const getSellerProducts = async (sellerId, options = {}) => {
 // returns {Object} search results
 
 export const searchProducts = async (searchTerm, options = {}) => {
-  const { category, minPrice, maxPrice, page = 1, limit = 20 } = options;
+  const { category, minPrice, maxPrice, attributes, page = 1, limit = 20 } = options;
+
+  let attributeFilter = null;
+  if (attributes && Object.keys(attributes).length > 0) {
+    attributeFilter = await getAttributeFilterQuery(attributes, category);
+    if (attributeFilter === null) {
+      throw new AppError('Invalid attribute filter provided', 400);
+    }
+  }
 
   const searchOptions = {
     limit,
@@ -300,12 +701,15 @@ export const searchProducts = async (searchTerm, options = {}) => {
     category,
     minPrice,
     maxPrice,
+    attributes: attributeFilter,
   };
 
   const products = await Product.searchProducts(searchTerm, searchOptions);
+  const facets = await getAttributeFacets(Product.buildSearchQuery(searchTerm, searchOptions), category);
 
   return {
     products,
+    facets,
     searchTerm,
   };
 };
@@ -360,6 +764,10 @@ export const updateStock = async (productId, quantity, operation = 'add') => {
     throw new AppError('Product not found', 404);
   }
 
+  if (product.hasVariants) {
+    throw new AppError('Listings with variants are restocked per variant', 400);
+  }
+
   if (operation === 'add') {
     await product.incrementStock(quantity);
   } else if (operation === 'remove') {
@@ -376,24 +784,27 @@ export const updateStock = async (productId, quantity, operation = 'add') => {
 // returns {Array} categories with product counts grouped by main category
 
 export const getCategoryCounts = async () => {
-  const { getMainCategoryForSubcategory, getAllMainCategories } = await import('../utils/categoryUtils.js');
+  const { roots } = await getTaxonomy();
 
-  // get all products with their subcategories
-  const products = await Product.find({ status: 'active' }, { category: 1 });
+  // count active products per leaf category
+  const leafCounts = await Product.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
 
   // initialize counts for all main categories
   const categoryCounts = {};
-  getAllMainCategories().forEach(mainCat => {
-    categoryCounts[mainCat] = 0;
+  roots.filter(root => root.isActive).forEach(root => {
+    categoryCounts[root.name] = 0;
   });
 
-  // count products by mapping subcategories to main categories
-  products.forEach(product => {
-    const mainCategory = getMainCategoryForSubcategory(product.category);
-    if (mainCategory) {
-      categoryCounts[mainCategory]++;
+  // roll the leaf counts up into their main categories
+  for (const { _id: category, count } of leafCounts) {
+    const mainCategory = await getMainCategoryForSubcategory(category);
+    if (mainCategory && mainCategory in categoryCounts) {
+      categoryCounts[mainCategory] += count;
     }
-  });
+  }
 
   // convert to array format
   const counts = Object.entries(categoryCounts).map(([category, count]) => ({
@@ -407,18 +818,139 @@ export const getCategoryCounts = async () => {
   return counts;
 };
 
+// renew a listing (seller only)
+// expired listings go back on sale; the expiry moves to the given date or
+// the default listing lifetime from now
+// param {string} productId - product ID
+// param {string} sellerId - seller user ID
+// param {Object} renewData - { expiresAt }
+// returns {Object} renewed product
+
+export const renewProduct = async (productId, sellerId, renewData = {}) => {
+  const product = await Product.findById(productId);
+
+  if (!product || product.status === 'deleted') {
+    throw new AppError('Product not found', 404);
+  }
+
+  if (product.seller.toString() !== sellerId) {
+    throw new AppError('You can only renew your own products', 403);
+  }
+
+  if (product.status === 'expired') {
+    // an old publish date would otherwise fail the expiry check
+    product.publishAt = null;
+    product.status = getListedStatus(product);
+  }
+
+  applyListingSchedule(product, {
+    expiresAt: renewData.expiresAt || getDefaultExpiry(product.publishAt || undefined),
+  });
+
+  await product.save();
+  await product.populate('seller', 'name profilePicture');
+
+  return product;
+};
+
+
+// publish scheduled listings whose publish time has come (called by the scheduler)
+// returns {number} number of listings published
+
+export const publishScheduledListings = async () => {
+  const result = await Product.updateMany(
+    { status: 'scheduled', publishAt: { $lte: new Date() } },
+    [{
+      $set: {
+        status: {
+          $cond: [
+            { $or: [{ $gt: ['$stock', 0] }, { $eq: ['$preOrder.enabled', true] }] },
+            'active',
+            'sold',
+          ],
+        },
+      },
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+
+// expire listings past their expiry date (called by the scheduler)
+// returns {number} number of listings expired
+
+export const expireListings = async () => {
+  const result = await Product.updateMany(
+    {
+      status: { $in: ['active', 'paused', 'sold', 'scheduled'] },
+      expiresAt: { $lte: new Date() },
+    },
+    { status: 'expired' }
+  );
+
+  return result.modifiedCount;
+};
+
+
+// email sellers about listings expiring soon (called by the scheduler)
+// short-lived listings (a day or less) are skipped since the seller picked
+// the expiry moments ago
+// returns {number} number of reminders sent
+
+export const sendListingExpiryReminders = async () => {
+  const now = new Date();
+  const reminderWindowMs = config.listings.expiryReminderHoursBefore * 60 * 60 * 1000;
+
+  const products = await Product.find({
+    status: { $in: ['active', 'paused', 'sold'] },
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + reminderWindowMs) },
+    expiryReminderSentAt: null,
+  }).populate('seller', 'name email');
+
+  let remindedCount = 0;
+
+  for (const product of products) {
+    const listedAt = product.publishAt || product.createdAt;
+    const isShortLived = product.expiresAt - listedAt <= reminderWindowMs;
+
+    if (!isShortLived && product.seller?.email) {
+      try {
+        await sendListingExpiryReminderEmail(
+          product.seller.email,
+          product.seller.name,
+          product.name,
+          product.expiresAt
+        );
+        remindedCount++;
+      } catch (emailError) {
+        console.error('failed to send listing expiry reminder:', emailError.message);
+      }
+    }
+
+    await Product.updateOne({ _id: product._id }, { expiryReminderSentAt: now });
+  }
+
+  return remindedCount;
+};
+
 export default {
   createProduct,
   getProductById,
   updateProduct,
   deleteProduct,
   getAllProducts,
+  getFacetedProducts,
   getSellerProducts,
   searchProducts,
   getFeaturedProducts,
   getLowStockProducts,
   updateStock,
   getCategoryCounts,
+  renewProduct,
+  publishScheduledListings,
+  expireListings,
+  sendListingExpiryReminders,
 };
 
 export const getSimilarProducts = async (productId, limit = 10) => {
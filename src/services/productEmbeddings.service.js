@@ -7,6 +7,7 @@ export async function generateProductEmbedding(product) {
     product.description,
     product.category,
     product.condition || '',
+    ...(product.attributes || []).map(attribute => String(attribute.value)),
   ].filter(Boolean).join(' ');
 
   const embedding = await generateEmbedding(textToEmbed);
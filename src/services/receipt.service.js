@@ -0,0 +1,298 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/Order.model.js';
+import User from '../models/User.model.js';
+import AppError from '../utils/AppError.js';
+import { sendOrderReceiptEmail } from '../utils/emailService.js';
+
+// display labels for payment methods
+const PAYMENT_METHOD_LABELS = {
+  cash_on_meetup: 'Cash on meetup',
+  cash_on_delivery: 'Cash on delivery',
+  gcash: 'GCash',
+  maya: 'Maya',
+};
+
+// format an amount as pesos (the pdf base fonts have no peso sign)
+const formatAmount = (amount) => `PHP ${Number(amount || 0).toFixed(2)}`;
+
+// format a date in campus time
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleString('en-PH', { timeZone: 'Asia/Manila' })
+    : '';
+};
+
+// escape user-provided text before putting it in html
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// get a user's display name whether or not the field is populated
+const getName = async (userOrId) => {
+  if (userOrId?.name) {
+    return userOrId.name;
+  }
+
+  const user = await User.findById(userOrId).select('name');
+  return user?.name || '';
+};
+
+// keep only the history entries where the status actually changed
+const buildTimeline = (statusHistory) => {
+  const timeline = [];
+
+  for (const entry of statusHistory) {
+    if (timeline.length === 0 || timeline[timeline.length - 1].status !== entry.status) {
+      timeline.push({
+        status: entry.status,
+        timestamp: entry.timestamp,
+        note: entry.note || '',
+      });
+    }
+  }
+
+  return timeline;
+};
+
+
+// collect everything printed on a receipt
+// param {Object} order - order document (buyer and items.seller may be populated)
+// returns {Object} receipt data
+
+export const buildReceiptData = async (order) => {
+  const items = order.items.map(item => ({
+    productName: item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName,
+    price: item.price,
+    quantity: item.quantity,
+    lineTotal: item.price * item.quantity,
+  }));
+
+  return {
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    completedAt: order.completedAt,
+    buyerName: await getName(order.buyer),
+    sellerName: await getName(order.items[0]?.seller),
+    items,
+    subtotal: items.reduce((sum, item) => sum + item.lineTotal, 0),
+    shippingFee: order.shippingFee || 0,
+    totalAmount: order.totalAmount,
+    deliveryMethod: order.deliveryMethod,
+    paymentMethod: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    status: order.status,
+    timeline: buildTimeline(order.statusHistory),
+  };
+};
+
+
+// render a receipt as a standalone html page
+// param {Object} receipt - data from buildReceiptData
+// returns {string} html document
+
+export const renderReceiptHtml = (receipt) => {
+  const itemRows = receipt.items
+    .map(item => `
+        <tr>
+          <td>${escapeHtml(item.productName)}</td>
+          <td style="text-align: right;">${formatAmount(item.price)}</td>
+          <td style="text-align: center;">${item.quantity}</td>
+          <td style="text-align: right;">${formatAmount(item.lineTotal)}</td>
+        </tr>`)
+    .join('');
+
+  const timelineRows = receipt.timeline
+    .map(entry => `
+        <li>${formatDate(entry.timestamp)} - <strong>${escapeHtml(entry.status)}</strong>${entry.note ? ` (${escapeHtml(entry.note)})` : ''}</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Receipt - Order #${escapeHtml(receipt.orderNumber)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 720px; margin: 0 auto; color: #222;">
+    <h2>AnimoMart Receipt</h2>
+    <p><strong>Order Number:</strong> ${escapeHtml(receipt.orderNumber)}</p>
+    <p><strong>Order Date:</strong> ${formatDate(receipt.orderDate)}</p>
+    <p><strong>Buyer:</strong> ${escapeHtml(receipt.buyerName)}</p>
+    <p><strong>Seller:</strong> ${escapeHtml(receipt.sellerName)}</p>
+
+    <table style="width: 100%; border-collapse: collapse;" border="1" cellpadding="6">
+      <thead>
+        <tr>
+          <th style="text-align: left;">Item</th>
+          <th style="text-align: right;">Price</th>
+          <th>Qty</th>
+          <th style="text-align: right;">Total</th>
+        </tr>
+      </thead>
+      <tbody>${itemRows}
+      </tbody>
+    </table>
+
+    <p><strong>Subtotal:</strong> ${formatAmount(receipt.subtotal)}</p>
+    <p><strong>Shipping Fee:</strong> ${formatAmount(receipt.shippingFee)}</p>
+    <p><strong>Total:</strong> ${formatAmount(receipt.totalAmount)}</p>
+
+    <p><strong>Delivery Method:</strong> ${escapeHtml(receipt.deliveryMethod)}</p>
+    <p><strong>Payment Method:</strong> ${escapeHtml(receipt.paymentMethod)}</p>
+    <p><strong>Payment Status:</strong> ${escapeHtml(receipt.paymentStatus)}</p>
+    <p><strong>Order Status:</strong> ${escapeHtml(receipt.status)}</p>
+
+    <h3>Timeline</h3>
+    <ul>${timelineRows}
+    </ul>
+  </body>
+</html>`;
+};
+
+
+// render a receipt as a pdf
+// param {Object} receipt - data from buildReceiptData
+// returns {Promise<Buffer>} pdf file contents
+
+export const renderReceiptPdf = (receipt) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(18).text('AnimoMart Receipt');
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Order Number: ${receipt.orderNumber}`);
+    doc.text(`Order Date: ${formatDate(receipt.orderDate)}`);
+    doc.text(`Buyer: ${receipt.buyerName}`);
+    doc.text(`Seller: ${receipt.sellerName}`);
+    doc.moveDown();
+
+    // item table: name, price, quantity, line total
+    const columns = { name: 50, price: 300, quantity: 400, total: 460 };
+    const headerY = doc.y;
+
+    doc.font('Helvetica-Bold');
+    doc.text('Item', columns.name, headerY);
+    doc.text('Price', columns.price, headerY);
+    doc.text('Qty', columns.quantity, headerY);
+    doc.text('Total', columns.total, headerY);
+    doc.font('Helvetica');
+    doc.moveDown(0.5);
+
+    for (const item of receipt.items) {
+      const rowY = doc.y;
+      doc.text(item.productName, columns.name, rowY, { width: 240 });
+      const nextY = doc.y;
+      doc.text(formatAmount(item.price), columns.price, rowY);
+      doc.text(String(item.quantity), columns.quantity, rowY);
+      doc.text(formatAmount(item.lineTotal), columns.total, rowY);
+      doc.y = Math.max(nextY, doc.y);
+    }
+
+    doc.moveDown();
+    doc.x = columns.name;
+    doc.text(`Subtotal: ${formatAmount(receipt.subtotal)}`);
+    doc.text(`Shipping Fee: ${formatAmount(receipt.shippingFee)}`);
+    doc.font('Helvetica-Bold').text(`Total: ${formatAmount(receipt.totalAmount)}`);
+    doc.font('Helvetica');
+    doc.moveDown();
+
+    doc.text(`Delivery Method: ${receipt.deliveryMethod}`);
+    doc.text(`Payment Method: ${receipt.paymentMethod}`);
+    doc.text(`Payment Status: ${receipt.paymentStatus}`);
+    doc.text(`Order Status: ${receipt.status}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Timeline');
+    doc.font('Helvetica');
+    for (const entry of receipt.timeline) {
+      doc.text(
+        `${formatDate(entry.timestamp)} - ${entry.status}${entry.note ? ` (${entry.note})` : ''}`
+      );
+    }
+
+    doc.end();
+  });
+};
+
+
+// get an order receipt (buyer or seller)
+// param {string} orderId - order ID
+// param {string} userId - user ID (for authorization)
+// param {string} format - 'pdf' or 'html'
+// returns {Object} { filename, contentType, body }
+
+export const getOrderReceipt = async (orderId, userId, format = 'pdf') => {
+  const order = await Order.findById(orderId)
+    .populate('buyer', 'name')
+    .populate('items.seller', 'name');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const isBuyer = order.buyer._id.toString() === userId;
+  const isSeller = order.items.some(
+    item => item.seller._id.toString() === userId
+  );
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('You do not have access to this order', 403);
+  }
+
+  const receipt = await buildReceiptData(order);
+
+  if (format === 'html') {
+    return {
+      filename: `receipt-${order.orderNumber}.html`,
+      contentType: 'text/html; charset=utf-8',
+      body: renderReceiptHtml(receipt),
+    };
+  }
+
+  return {
+    filename: `receipt-${order.orderNumber}.pdf`,
+    contentType: 'application/pdf',
+    body: await renderReceiptPdf(receipt),
+  };
+};
+
+
+// email the receipt to the buyer (called when an order completes)
+// param {Object} order - completed order document
+
+export const emailOrderReceipt = async (order) => {
+  const buyer = order.buyer?.email ? order.buyer : await User.findById(order.buyer);
+
+  if (!buyer?.email) {
+    return;
+  }
+
+  try {
+    const receipt = await buildReceiptData(order);
+    const html = renderReceiptHtml(receipt);
+    const pdf = await renderReceiptPdf(receipt);
+
+    await sendOrderReceiptEmail(buyer.email, order.orderNumber, html, pdf);
+  } catch (emailError) {
+    console.error('failed to send receipt email:', emailError.message);
+  }
+};
+
+export default {
+  buildReceiptData,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  getOrderReceipt,
+  emailOrderReceipt,
+};
@@ -0,0 +1,358 @@
+import ReturnRequest from '../models/ReturnRequest.model.js';
+import Order from '../models/Order.model.js';
+import Product from '../models/Product.model.js';
+import User from '../models/User.model.js';
+import AppError from '../utils/AppError.js';
+import config from '../config/config.js';
+import { refundOrderPayment } from './payment.service.js';
+import { sendReturnStatusEmail } from '../utils/emailService.js';
+
+// allowed return status moves
+const validTransitions = {
+  requested: ['approved', 'rejected'],
+  approved: ['returned'],
+  returned: ['refunded'],
+};
+
+// load a return request and check the user is its seller
+const getReturnForSeller = async (returnId, userId) => {
+  const returnRequest = await ReturnRequest.findById(returnId)
+    .populate('buyer', 'email name')
+    .populate('order', 'orderNumber');
+
+  if (!returnRequest) {
+    throw new AppError('Return request not found', 404);
+  }
+
+  if (returnRequest.seller.toString() !== userId) {
+    throw new AppError('Only the seller can update this return request', 403);
+  }
+
+  return returnRequest;
+};
+
+// check a status move is allowed
+const assertTransition = (returnRequest, newStatus) => {
+  if (!validTransitions[returnRequest.status]?.includes(newStatus)) {
+    throw new AppError(
+      `Cannot change return status from ${returnRequest.status} to ${newStatus}`,
+      400
+    );
+  }
+};
+
+// combine requested lines for the same product and variant so the
+// quantity check sees the full amount being returned
+const mergeReturnItems = (items) => {
+  const merged = new Map();
+
+  for (const item of items) {
+    const key = `${item.product}:${item.variant || ''}`;
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.quantity += Number(item.quantity);
+    } else {
+      merged.set(key, { product: item.product, variant: item.variant, quantity: Number(item.quantity) });
+    }
+  }
+
+  return [...merged.values()];
+};
+
+// email the other party about a return status change
+const notifyReturnStatus = async (recipient, orderNumber, status) => {
+  if (recipient?.email) {
+    try {
+      await sendReturnStatusEmail(recipient.email, orderNumber, status, recipient.name);
+    } catch (emailError) {
+      console.error('failed to send return status email:', emailError.message);
+    }
+  }
+};
+
+
+// create a return request for a completed order (buyer only)
+// param {string} orderId - order ID
+// param {string} userId - buyer user ID
+// param {Object} returnData - { reason, description, evidence, items: [{ product, quantity }] }
+// returns {Object} created return request
+
+export const createReturnRequest = async (orderId, userId, returnData) => {
+  const { reason, description, evidence, items } = returnData;
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.buyer.toString() !== userId) {
+    throw new AppError('Only the buyer can request a return', 403);
+  }
+
+  if (order.status !== 'completed') {
+    throw new AppError('Returns can only be requested for completed orders', 400);
+  }
+
+  if (order.paymentStatus === 'refunded') {
+    throw new AppError('Order has already been refunded', 400);
+  }
+
+  if (order.isDisputed) {
+    throw new AppError('Returns cannot be requested while a dispute is open', 400);
+  }
+
+  const windowEnd = new Date(
+    order.completedAt.getTime() + config.returnWindowDays * 24 * 60 * 60 * 1000
+  );
+
+  if (new Date() > windowEnd) {
+    throw new AppError(
+      `Returns must be requested within ${config.returnWindowDays} days of completion`,
+      400
+    );
+  }
+
+  if (await ReturnRequest.hasOpenRequest(order._id)) {
+    throw new AppError('This order already has an open return request', 400);
+  }
+
+  // an order can be returned a few items at a time, so only count what
+  // earlier returns haven't already refunded
+  const refundedQuantities = await ReturnRequest.getRefundedQuantities(order._id);
+  const getReturnableQuantity = item =>
+    item.quantity - (refundedQuantities.get(`${item.product}:${item.variant || ''}`) || 0);
+
+  // default to returning every item that hasn't been returned yet
+  const requestedItems = items && items.length > 0
+    ? mergeReturnItems(items)
+    : order.items
+      .map(item => ({ product: item.product, variant: item.variant, quantity: getReturnableQuantity(item) }))
+      .filter(item => item.quantity > 0);
+
+  const returnItems = requestedItems.map((requested) => {
+    const orderItem = order.items.find(
+      item => item.product.toString() === requested.product.toString() &&
+              String(item.variant || '') === String(requested.variant || '')
+    );
+
+    if (!orderItem) {
+      throw new AppError(`Product ${requested.product} is not part of this order`, 400);
+    }
+
+    const returnableQuantity = getReturnableQuantity(orderItem);
+
+    if (requested.quantity > returnableQuantity) {
+      throw new AppError(
+        returnableQuantity > 0
+          ? `Cannot return more than ${returnableQuantity} of "${orderItem.productName}"`
+          : `"${orderItem.productName}" has already been returned`,
+        400
+      );
+    }
+
+    return {
+      product: orderItem.product,
+      productName: orderItem.productName,
+      variant: orderItem.variant,
+      variantLabel: orderItem.variantLabel,
+      quantity: requested.quantity,
+      price: orderItem.price,
+    };
+  });
+
+  if (returnItems.length === 0) {
+    throw new AppError('Every item in this order has already been returned', 400);
+  }
+
+  const refundAmount = returnItems.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+
+  let returnRequest;
+
+  try {
+    returnRequest = await ReturnRequest.create({
+      order: order._id,
+      buyer: userId,
+      seller: order.getSeller(),
+      items: returnItems,
+      reason,
+      description,
+      evidence,
+      refundAmount,
+    });
+  } catch (error) {
+    // the unique index on open returns caught a concurrent request
+    if (error.code === 11000) {
+      throw new AppError('This order already has an open return request', 400);
+    }
+    throw error;
+  }
+
+  // a dispute opened meanwhile claims the order first and then looks for
+  // returns, so checking again after creating means one of the two always backs off
+  if (await Order.exists({ _id: order._id, isDisputed: true })) {
+    await returnRequest.deleteOne();
+    throw new AppError('Returns cannot be requested while a dispute is open', 400);
+  }
+
+  const seller = await User.findById(order.getSeller());
+  await notifyReturnStatus(seller, order.orderNumber, 'requested');
+
+  return returnRequest;
+};
+
+
+// get single return request (buyer or seller)
+// param {string} returnId - return request ID
+// param {string} userId - user id
+// returns {Object} return request
+
+export const getReturnRequest = async (returnId, userId) => {
+  const returnRequest = await ReturnRequest.findById(returnId)
+    .populate('order', 'orderNumber totalAmount paymentMethod paymentStatus completedAt')
+    .populate('buyer', 'name email profilePicture')
+    .populate('seller', 'name email profilePicture')
+    .populate('items.product', 'name images');
+
+  if (!returnRequest) {
+    throw new AppError('Return request not found', 404);
+  }
+
+  const isBuyer = returnRequest.buyer._id.toString() === userId;
+  const isSeller = returnRequest.seller._id.toString() === userId;
+
+  if (!isBuyer && !isSeller) {
+    throw new AppError('You do not have access to this return request', 403);
+  }
+
+  return returnRequest;
+};
+
+
+// get user's return requests as buyer or seller
+// param {string} userId - user id
+// param {Object} filters - { role, status, page, limit }
+// returns {Object} return requests and pagination
+
+export const getUserReturnRequests = async (userId, filters = {}) => {
+  const { role = 'buyer', status, page = 1, limit = 20 } = filters;
+
+  const query = role === 'seller' ? { seller: userId } : { buyer: userId };
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const returnRequests = await ReturnRequest.find(query)
+    .populate('order', 'orderNumber')
+    .populate('buyer', 'name profilePicture')
+    .populate('seller', 'name profilePicture')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(skip);
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  return {
+    returnRequests,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalReturnRequests: total,
+    },
+  };
+};
+
+
+// approve or reject a return request (seller only)
+// param {string} returnId - return request ID
+// param {string} userId - seller user ID
+// param {string} decision - 'approve' or 'reject'
+// param {string} note - optional note (required when rejecting)
+// returns {Object} updated return request
+
+export const reviewReturnRequest = async (returnId, userId, decision, note = '') => {
+  const returnRequest = await getReturnForSeller(returnId, userId);
+  const newStatus = decision === 'approve' ? 'approved' : 'rejected';
+
+  assertTransition(returnRequest, newStatus);
+
+  if (newStatus === 'rejected' && !note) {
+    throw new AppError('A reason is required when rejecting a return', 400);
+  }
+
+  await returnRequest.updateStatus(newStatus, userId, note);
+  await notifyReturnStatus(returnRequest.buyer, returnRequest.order.orderNumber, newStatus);
+
+  return returnRequest;
+};
+
+
+// mark returned items as received and restore stock (seller only)
+// param {string} returnId - return request ID
+// param {string} userId - seller user ID
+// param {string} note - optional note
+// returns {Object} updated return request
+
+export const markItemsReturned = async (returnId, userId, note = '') => {
+  const returnRequest = await getReturnForSeller(returnId, userId);
+
+  assertTransition(returnRequest, 'returned');
+
+  // restore product stock
+  for (const item of returnRequest.items) {
+    const product = await Product.findById(item.product);
+    if (product && product.status !== 'deleted') {
+      await product.incrementStock(item.quantity, item.variant);
+    }
+  }
+
+  await returnRequest.updateStatus('returned', userId, note || 'Item received by seller');
+  await notifyReturnStatus(returnRequest.buyer, returnRequest.order.orderNumber, 'returned');
+
+  return returnRequest;
+};
+
+
+// issue the refund for a returned order (seller only)
+// param {string} returnId - return request ID
+// param {string} userId - seller user ID
+// param {string} note - optional note
+// returns {Object} updated return request
+
+export const refundReturnRequest = async (returnId, userId, note = '') => {
+  const returnRequest = await getReturnForSeller(returnId, userId);
+
+  assertTransition(returnRequest, 'refunded');
+
+  const order = await Order.findById(returnRequest.order._id);
+
+  returnRequest.refundReference = await refundOrderPayment(
+    order,
+    returnRequest.refundAmount,
+    userId
+  );
+
+  // reverse the sales credited when the order completed
+  const seller = await User.findById(returnRequest.seller);
+  if (seller) {
+    await seller.decrementSales(returnRequest.refundAmount);
+  }
+
+  await returnRequest.updateStatus('refunded', userId, note || 'Refund issued');
+  await notifyReturnStatus(returnRequest.buyer, order.orderNumber, 'refunded');
+
+  return returnRequest;
+};
+
+export default {
+  createReturnRequest,
+  getReturnRequest,
+  getUserReturnRequests,
+  reviewReturnRequest,
+  markItemsReturned,
+  refundReturnRequest,
+};
@@ -0,0 +1,187 @@
+import ExcelJS from 'exceljs';
+import Order from '../models/Order.model.js';
+
+// sales export (one row per line item)
+// the order's shipping fee is put on its first line only so column totals
+// don't count it more than once
+
+export const SALES_EXPORT_COLUMNS = [
+  { key: 'orderNumber', header: 'Order Number', width: 24 },
+  { key: 'buyerName', header: 'Buyer', width: 24 },
+  { key: 'buyerEmail', header: 'Buyer Email', width: 30 },
+  { key: 'productName', header: 'Product', width: 32 },
+  { key: 'sku', header: 'SKU', width: 16 },
+  { key: 'variantLabel', header: 'Variant', width: 24 },
+  { key: 'quantity', header: 'Quantity', width: 10 },
+  { key: 'price', header: 'Price', width: 12 },
+  { key: 'lineTotal', header: 'Line Total', width: 12 },
+  { key: 'shippingFee', header: 'Shipping Fee', width: 12 },
+  { key: 'paymentMethod', header: 'Payment Method', width: 18 },
+  { key: 'paymentStatus', header: 'Payment Status', width: 16 },
+  { key: 'status', header: 'Order Status', width: 14 },
+  { key: 'createdAt', header: 'Created At', width: 22 },
+  { key: 'completedAt', header: 'Completed At', width: 22 },
+];
+
+// build the query for a seller's orders in a date range
+const buildSalesQuery = (sellerId, { from, to }) => {
+  const query = { 'items.seller': sellerId };
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) {
+      const end = new Date(to);
+      // a plain date means the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  return query;
+};
+
+// turn an order into export rows (only the seller's own lines)
+const toSalesRows = (order, sellerId) => {
+  const sellerItems = order.items.filter(item => item.seller.toString() === sellerId.toString());
+
+  return sellerItems.map((item, index) => ({
+    orderNumber: order.orderNumber,
+    buyerName: order.buyer?.name || '',
+    buyerEmail: order.buyer?.email || '',
+    productName: item.productName,
+    sku: item.sku || '',
+    variantLabel: item.variantLabel || '',
+    quantity: item.quantity,
+    price: item.price,
+    lineTotal: item.price * item.quantity,
+    shippingFee: index === 0 ? order.shippingFee || 0 : 0,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    status: order.status,
+    createdAt: order.createdAt,
+    completedAt: order.completedAt || null,
+  }));
+};
+
+// quote a csv value when it contains separators, quotes or newlines
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = value instanceof Date ? value.toISOString() : String(value);
+
+  // guard against spreadsheet formula injection from user-entered names
+  const safe = /^[=+\-@\t\r]/.test(str) && typeof value === 'string' ? `'${str}` : str;
+
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// write to a stream, waiting for it to drain when its buffer is full
+// rejects if the stream closes or errors first (e.g. the client went away),
+// since 'drain' never fires after that
+const writeChunk = (stream, chunk) => {
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Export stream closed before it finished'));
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      stream.off('drain', settle);
+      stream.off('close', onClose);
+      stream.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onClose = () => settle(new Error('Export stream closed before it finished'));
+
+    stream.once('drain', settle);
+    stream.once('close', onClose);
+    stream.once('error', settle);
+  });
+};
+
+// open a cursor over the seller's orders, oldest first
+const openSalesCursor = (sellerId, range) => {
+  return Order.find(buildSalesQuery(sellerId, range))
+    .populate('buyer', 'name email')
+    .sort({ createdAt: 1 })
+    .cursor();
+};
+
+
+// stream a seller's sales as csv
+// param {string} sellerId - seller user ID
+// param {Object} range - { from, to }
+// param {Writable} stream - destination (e.g. the response)
+// returns {number} number of rows written
+
+export const streamSalesCsv = async (sellerId, range, stream) => {
+  const cursor = openSalesCursor(sellerId, range);
+  let rowCount = 0;
+
+  try {
+    await writeChunk(stream, `${SALES_EXPORT_COLUMNS.map(column => column.header).join(',')}\r\n`);
+
+    for await (const order of cursor) {
+      for (const row of toSalesRows(order, sellerId)) {
+        const line = SALES_EXPORT_COLUMNS.map(column => toCsvValue(row[column.key])).join(',');
+        await writeChunk(stream, `${line}\r\n`);
+        rowCount++;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  stream.end();
+
+  return rowCount;
+};
+
+
+// stream a seller's sales as xlsx
+// rows are committed as they are written so the workbook is never held in memory
+// param {string} sellerId - seller user ID
+// param {Object} range - { from, to }
+// param {Writable} stream - destination (e.g. the response)
+// returns {number} number of rows written
+
+export const streamSalesXlsx = async (sellerId, range, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const worksheet = workbook.addWorksheet('Sales');
+
+  worksheet.columns = SALES_EXPORT_COLUMNS;
+
+  const cursor = openSalesCursor(sellerId, range);
+  let rowCount = 0;
+
+  try {
+    for await (const order of cursor) {
+      if (stream.destroyed) {
+        throw new Error('Export stream closed before it finished');
+      }
+      for (const row of toSalesRows(order, sellerId)) {
+        worksheet.addRow(row).commit();
+        rowCount++;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+
+  return rowCount;
+};
+
+export default {
+  SALES_EXPORT_COLUMNS,
+  streamSalesCsv,
+  streamSalesXlsx,
+};
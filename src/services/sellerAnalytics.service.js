@@ -0,0 +1,203 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.model.js';
+import Product from '../models/Product.model.js';
+
+// seller revenue analytics
+// revenue and units count the seller's line items on completed orders
+// (shipping fees are excluded); periods are bucketed by order date in campus time
+
+export const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// default range when no dates are given
+const DEFAULT_RANGE_DAYS = 30;
+
+// number of products in the top lists
+const TOP_PRODUCTS_LIMIT = 10;
+
+const TIMEZONE = 'Asia/Manila';
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// resolve the date range (a plain "to" date covers the whole day)
+const resolveRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  return { start, end };
+};
+
+// pipeline stages that keep only the seller's lines of completed orders
+const completedSellerItems = (sellerId) => [
+  { $match: { status: 'completed' } },
+  { $unwind: '$items' },
+  { $match: { 'items.seller': sellerId } },
+];
+
+// line item revenue expression
+const ITEM_REVENUE = { $multiply: ['$items.price', '$items.quantity'] };
+
+// conversion rate from lifetime product views and orders
+const getConversionRate = (product) => {
+  return product.views > 0 ? roundAmount((product.orderCount / product.views) * 100) : 0;
+};
+
+
+// get revenue dashboard data for a seller
+// param {string} sellerId - seller user ID
+// param {Object} options - { interval: 'day'|'week'|'month', from, to }
+// returns {Object} summary, time series, top products and conversion
+
+export const getSellerAnalytics = async (sellerId, options = {}) => {
+  const { interval = 'day' } = options;
+  const { start, end } = resolveRange(options);
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        'items.seller': sellerObjectId,
+        createdAt: { $gte: start, $lte: end },
+      },
+    },
+    {
+      $facet: {
+        statusCounts: [
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ],
+
+        totals: [
+          ...completedSellerItems(sellerObjectId),
+          {
+            $group: {
+              _id: null,
+              revenue: { $sum: ITEM_REVENUE },
+              unitsSold: { $sum: '$items.quantity' },
+              orders: { $addToSet: '$_id' },
+            },
+          },
+        ],
+
+        series: [
+          ...completedSellerItems(sellerObjectId),
+          {
+            $group: {
+              _id: {
+                $dateTrunc: {
+                  date: '$createdAt',
+                  unit: interval,
+                  timezone: TIMEZONE,
+                  startOfWeek: 'monday',
+                },
+              },
+              revenue: { $sum: ITEM_REVENUE },
+              unitsSold: { $sum: '$items.quantity' },
+              orders: { $addToSet: '$_id' },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+
+        topProducts: [
+          ...completedSellerItems(sellerObjectId),
+          {
+            $group: {
+              _id: '$items.product',
+              productName: { $last: '$items.productName' },
+              revenue: { $sum: ITEM_REVENUE },
+              unitsSold: { $sum: '$items.quantity' },
+            },
+          },
+          { $sort: { revenue: -1 } },
+          { $limit: TOP_PRODUCTS_LIMIT },
+        ],
+      },
+    },
+  ]);
+
+  // summary
+  const statusCounts = Object.fromEntries(
+    result.statusCounts.map(entry => [entry._id, entry.count])
+  );
+  const totalOrders = result.statusCounts.reduce((sum, entry) => sum + entry.count, 0);
+  const cancelledOrders = statusCounts.cancelled || 0;
+  const totals = result.totals[0] || { revenue: 0, unitsSold: 0, orders: [] };
+  const completedOrders = totals.orders.length;
+
+  const summary = {
+    revenue: roundAmount(totals.revenue),
+    unitsSold: totals.unitsSold,
+    totalOrders,
+    completedOrders,
+    cancelledOrders,
+    averageOrderValue: completedOrders > 0 ? roundAmount(totals.revenue / completedOrders) : 0,
+    cancellationRate: totalOrders > 0 ? roundAmount((cancelledOrders / totalOrders) * 100) : 0,
+    ordersByStatus: statusCounts,
+  };
+
+  const series = result.series.map(bucket => ({
+    period: bucket._id,
+    revenue: roundAmount(bucket.revenue),
+    unitsSold: bucket.unitsSold,
+    orderCount: bucket.orders.length,
+    averageOrderValue: roundAmount(bucket.revenue / bucket.orders.length),
+  }));
+
+  // views and orderCount are lifetime counters on the product
+  const topProductIds = result.topProducts.map(entry => entry._id);
+  const productStats = await Product.find({ _id: { $in: topProductIds } })
+    .select('name views orderCount status');
+  const productStatsById = new Map(productStats.map(product => [product._id.toString(), product]));
+
+  const topProducts = result.topProducts.map((entry) => {
+    const product = productStatsById.get(entry._id.toString());
+
+    return {
+      product: entry._id,
+      productName: product?.name || entry.productName,
+      revenue: roundAmount(entry.revenue),
+      unitsSold: entry.unitsSold,
+      views: product?.views || 0,
+      orderCount: product?.orderCount || 0,
+      conversionRate: product ? getConversionRate(product) : 0,
+    };
+  });
+
+  // best converting listings among products with any views
+  const viewedProducts = await Product.find({
+    seller: sellerObjectId,
+    status: { $ne: 'deleted' },
+    views: { $gt: 0 },
+  })
+    .select('name views orderCount status');
+
+  const conversion = viewedProducts
+    .map(product => ({
+      product: product._id,
+      productName: product.name,
+      status: product.status,
+      views: product.views,
+      orderCount: product.orderCount,
+      conversionRate: getConversionRate(product),
+    }))
+    .sort((a, b) => b.conversionRate - a.conversionRate || b.views - a.views)
+    .slice(0, TOP_PRODUCTS_LIMIT);
+
+  return {
+    range: { from: start, to: end, interval },
+    summary,
+    series,
+    topProducts,
+    conversion,
+  };
+};
+
+export default {
+  ANALYTICS_INTERVALS,
+  getSellerAnalytics,
+};
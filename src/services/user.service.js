@@ -2,6 +2,8 @@ import User from '../models/User.model.js';
 import Product from '../models/Product.model.js';
 import Order from '../models/Order.model.js';
 import AppError from '../utils/AppError.js';
+import { getPaginationOptions, applyCursor, paginateResults } from '../utils/pagination.js';
+import { ACTIVE_ORDER_STATUSES } from './orderStateMachine.service.js';
 
 
 // get user by ID
@@ -90,6 +92,16 @@ export const updateSellerInfo = async (userId, sellerData) => {
     user.sellerInfo.allowsShipping = sellerData.allowsShipping;
   }
 
+  // update only the shipping rule fields that were sent
+  if (sellerData.shippingRules !== undefined) {
+    const ruleFields = ['type', 'flatFee', 'additionalItemFee', 'freeShippingThreshold'];
+    ruleFields.forEach((field) => {
+      if (sellerData.shippingRules[field] !== undefined) {
+        user.sellerInfo.shippingRules[field] = sellerData.shippingRules[field];
+      }
+    });
+  }
+
   await user.save();
 
   return user.getFullProfile();
@@ -122,7 +134,7 @@ export const getSellerProfile = async (sellerId) => {
 // returns {Array} list of users
 
 export const getAllUsers = async (filters = {}) => {
-  const { role, isActive, isSuspended, page = 1, limit = 20 } = filters;
+  const { role, isActive, isSuspended, cursor, page, limit } = filters;
 
   const query = {};
 
@@ -130,24 +142,22 @@ export const getAllUsers = async (filters = {}) => {
   if (isActive !== undefined) query.isActive = isActive;
   if (isSuspended !== undefined) query.isSuspended = isSuspended;
 
-  const skip = (page - 1) * limit;
+  const paging = getPaginationOptions({ cursor, page, limit });
 
-  const users = await User.find(query)
+  const docs = await User.find(applyCursor(query, paging))
     .select('-__v')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(paging.sort)
+    .skip(paging.skip)
+    .limit(paging.limit + 1);
 
-  const total = await User.countDocuments(query);
+  const { items: users, pagination } = await paginateResults(docs, paging, {
+    countTotal: () => User.countDocuments(query),
+    totalKey: 'totalUsers',
+  });
 
   return {
     users,
-    pagination: {
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalUsers: total,
-      hasMore: page * limit < total,
-    },
+    pagination,
   };
 };
 
@@ -216,7 +226,7 @@ export const deleteAccount = async (userId) => {
       { buyer: userId },
       { 'items.seller': userId },
     ],
-    status: { $in: ['pending', 'processing', 'ready_for_pickup', 'out_for_delivery'] },
+    status: { $in: ACTIVE_ORDER_STATUSES },
   });
 
   if (activeOrders.length > 0) {
@@ -1,6 +1,12 @@
-// category mapping between main categories and subcategories
+import Category from '../models/Category.model.js';
 
-export const CATEGORY_MAP = {
+// category taxonomy lookups
+// the taxonomy lives in the Category collection (managed by admins); it is
+// small and read on most product requests, so it is cached in memory and
+// cleared whenever an admin changes it
+
+// starting taxonomy, seeded into an empty Category collection
+export const DEFAULT_CATEGORY_MAP = {
   'School Supplies': ['Notebooks', 'Pens & Pencils', 'Paper', 'Binders', 'Other Supplies'],
   'Electronics': ['Laptops', 'Phones', 'Accessories', 'Chargers', 'Other Electronics'],
   'Books': ['Textbooks', 'Novels', 'Study Guides', 'Reference', 'Other Books'],
@@ -15,49 +21,142 @@ export const CATEGORY_MAP = {
   'Other': ['Other']
 };
 
-export const isMainCategory = (categoryName) => {
-  return Object.keys(CATEGORY_MAP).includes(categoryName);
+// starting attribute schemas, keyed by category name
+export const DEFAULT_CATEGORY_ATTRIBUTES = {
+  'Textbooks': [
+    { key: 'isbn', label: 'ISBN', type: 'string', filterable: false },
+    { key: 'author', label: 'Author', type: 'string' },
+    { key: 'edition', label: 'Edition', type: 'string' },
+    { key: 'courseCode', label: 'Course Code', type: 'string' },
+  ],
+  'Laptops': [
+    { key: 'brand', label: 'Brand', type: 'string' },
+    { key: 'cpu', label: 'CPU', type: 'string' },
+    { key: 'ram', label: 'RAM', type: 'number', unit: 'GB' },
+    { key: 'storage', label: 'Storage', type: 'number', unit: 'GB' },
+  ],
+  'Shoes': [
+    { key: 'size', label: 'Size', type: 'number' },
+    { key: 'brand', label: 'Brand', type: 'string' },
+  ],
 };
 
-export const getSubcategoriesForMainCategory = (mainCategory) => {
-  return CATEGORY_MAP[mainCategory] || [];
-};
+// how long the cached taxonomy is trusted (other instances may have changed it)
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let taxonomyCache = null;
+let taxonomyLoadedAt = 0;
 
-export const getMainCategoryForSubcategory = (subcategory) => {
-  for (const [mainCat, subs] of Object.entries(CATEGORY_MAP)) {
-    if (subs.includes(subcategory)) {
-      return mainCat;
+// build lookup structures from the category documents
+const buildTaxonomy = (categories) => {
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const children = new Map();
+
+  for (const category of categories) {
+    const parentId = category.parent ? category.parent.toString() : null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
     }
+    children.get(parentId).push(category);
   }
-  return null;
+
+  const isLeaf = category => !children.has(category._id.toString());
+
+  return {
+    categories,
+    byId,
+    children,
+    roots: children.get(null) || [],
+    leaves: categories.filter(isLeaf),
+  };
+};
+
+// get the (cached) taxonomy
+export const getTaxonomy = async () => {
+  if (!taxonomyCache || Date.now() - taxonomyLoadedAt > CACHE_TTL_MS) {
+    const categories = await Category.findSorted().lean();
+    taxonomyCache = buildTaxonomy(categories);
+    taxonomyLoadedAt = Date.now();
+  }
+
+  return taxonomyCache;
+};
+
+// drop the cached taxonomy (call after any category change)
+export const clearCategoryCache = () => {
+  taxonomyCache = null;
+};
+
+// all leaf categories under a category (itself if it is a leaf)
+const getDescendantLeaves = (taxonomy, category) => {
+  const directChildren = taxonomy.children.get(category._id.toString());
+
+  if (!directChildren) {
+    return [category];
+  }
+
+  return directChildren.flatMap(child => getDescendantLeaves(taxonomy, child));
+};
+
+export const isMainCategory = async (categoryName) => {
+  const { roots } = await getTaxonomy();
+  return roots.some(category => category.name === categoryName);
 };
 
-export const getAllValidSubcategories = () => {
-  return Object.values(CATEGORY_MAP).flat();
+export const getSubcategoriesForMainCategory = async (mainCategory) => {
+  const taxonomy = await getTaxonomy();
+  const root = taxonomy.roots.find(category => category.name === mainCategory);
+
+  return root ? getDescendantLeaves(taxonomy, root).map(category => category.name) : [];
+};
+
+export const getMainCategoryForSubcategory = async (subcategory) => {
+  const taxonomy = await getTaxonomy();
+  let category = taxonomy.leaves.find(leaf => leaf.name === subcategory);
+
+  while (category?.parent) {
+    category = taxonomy.byId.get(category.parent.toString());
+  }
+
+  return category ? category.name : null;
 };
 
-export const getAllMainCategories = () => {
-  return Object.keys(CATEGORY_MAP);
+// leaf category names products can be filed under (active ones only by default)
+export const getAllValidSubcategories = async (includeInactive = false) => {
+  const { leaves } = await getTaxonomy();
+
+  return leaves
+    .filter(category => includeInactive || category.isActive)
+    .map(category => category.name);
 };
 
-export const isValidSubcategory = (category) => {
-  return getAllValidSubcategories().includes(category);
+export const getAllMainCategories = async () => {
+  const { roots } = await getTaxonomy();
+  return roots.map(category => category.name);
 };
 
-export const getCategoryFilterQuery = (categoryParam) => {
+export const isValidSubcategory = async (category) => {
+  return (await getAllValidSubcategories()).includes(category);
+};
+
+// build a Product.category filter from a main or sub category name
+// (inactive categories still match so their existing products can be found)
+export const getCategoryFilterQuery = async (categoryParam) => {
   if (!categoryParam) {
     return null;
   }
 
-  // check if it's a main category
-  if (isMainCategory(categoryParam)) {
+  const taxonomy = await getTaxonomy();
 
-    const subcategories = getSubcategoriesForMainCategory(categoryParam);
+  // check if it's a main category
+  const root = taxonomy.roots.find(category => category.name === categoryParam);
+  if (root) {
+    const subcategories = getDescendantLeaves(taxonomy, root).map(category => category.name);
     return { $in: subcategories };
   }
 
   // valid subcat validation
-  if (isValidSubcategory(categoryParam)) {
+  if (taxonomy.leaves.some(category => category.name === categoryParam)) {
 
     // if valid, return it
     return categoryParam;
@@ -67,8 +166,162 @@ export const getCategoryFilterQuery = (categoryParam) => {
   return null;
 };
 
+// attribute schema for a leaf category, including the attributes its
+// ancestors define (a subcategory's definition wins on a clashing key)
+export const getCategoryAttributes = async (categoryName) => {
+  const taxonomy = await getTaxonomy();
+  let category = taxonomy.leaves.find(leaf => leaf.name === categoryName);
+  const definitions = new Map();
+
+  while (category) {
+    for (const attribute of category.attributes || []) {
+      if (!definitions.has(attribute.key)) {
+        definitions.set(attribute.key, attribute);
+      }
+    }
+    category = category.parent ? taxonomy.byId.get(category.parent.toString()) : null;
+  }
+
+  return [...definitions.values()];
+};
+
+// every attribute definition in the taxonomy by key (first one wins)
+export const getAllAttributeDefinitions = async () => {
+  const { categories } = await getTaxonomy();
+  const definitions = new Map();
+
+  for (const category of categories) {
+    for (const attribute of category.attributes || []) {
+      if (!definitions.has(attribute.key)) {
+        definitions.set(attribute.key, attribute);
+      }
+    }
+  }
+
+  return definitions;
+};
+
+// attribute definitions by key for a main or sub category name, taken from
+// its subcategories' schemas so keys another branch reuses with a different
+// meaning don't leak in. the whole taxonomy is used without a category
+// returns {Map} key -> definition
+export const getAttributeDefinitions = async (categoryParam = null) => {
+  if (!categoryParam) {
+    return getAllAttributeDefinitions();
+  }
+
+  const taxonomy = await getTaxonomy();
+  const root = taxonomy.roots.find(category => category.name === categoryParam);
+  const leaves = root
+    ? getDescendantLeaves(taxonomy, root).map(category => category.name)
+    : [categoryParam];
+  const definitions = new Map();
+
+  for (const leaf of leaves) {
+    for (const attribute of await getCategoryAttributes(leaf)) {
+      if (!definitions.has(attribute.key)) {
+        definitions.set(attribute.key, attribute);
+      }
+    }
+  }
+
+  return definitions;
+};
+
+// convert a submitted value to the attribute's type (undefined when invalid)
+const coerceAttributeValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'enum':
+      return definition.options.includes(value) ? value : undefined;
+    default:
+      if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+      return String(value).trim().slice(0, 100) || undefined;
+  }
+};
+
+// check submitted attribute values against a category's schema
+// param values is a plain object, e.g. { ram: 16, brand: 'Lenovo' }
+// dropUnknown ignores keys the schema doesn't define (used when a product
+// moves to another category) instead of reporting them
+// returns { attributes: [{ key, value }], errors: [String] }
+export const validateProductAttributes = async (categoryName, values = {}, { dropUnknown = false } = {}) => {
+  const definitions = await getCategoryAttributes(categoryName);
+  const attributes = [];
+  const errors = [];
+
+  for (const definition of definitions) {
+    const raw = values[definition.key];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (definition.required) {
+        errors.push(`${definition.label} is required`);
+      }
+      continue;
+    }
+
+    const value = coerceAttributeValue(definition, raw);
+    if (value === undefined) {
+      errors.push(
+        definition.type === 'enum'
+          ? `${definition.label} must be one of: ${definition.options.join(', ')}`
+          : `${definition.label} must be a valid ${definition.type}`
+      );
+      continue;
+    }
+
+    attributes.push({ key: definition.key, value });
+  }
+
+  if (!dropUnknown) {
+    const knownKeys = new Set(definitions.map(definition => definition.key));
+    Object.keys(values)
+      .filter(key => !knownKeys.has(key))
+      .forEach(key => errors.push(`${key} is not an attribute of ${categoryName}`));
+  }
+
+  return { attributes, errors };
+};
+
+// build a Product.attributes filter from { key: value | [values] }
+// (a product must match every key; several values for one key match any of them)
+// keys are checked against the category's schema when one is given
+export const getAttributeFilterQuery = async (attributeFilters = {}, categoryParam = null) => {
+  const definitions = await getAttributeDefinitions(categoryParam);
+  const conditions = [];
+
+  for (const [key, rawValues] of Object.entries(attributeFilters)) {
+    const definition = definitions.get(key);
+    if (!definition) {
+      return null;
+    }
+
+    const values = (Array.isArray(rawValues) ? rawValues : [rawValues])
+      .map(value => coerceAttributeValue(definition, value))
+      .filter(value => value !== undefined);
+
+    if (values.length === 0) {
+      return null;
+    }
+
+    conditions.push({ $elemMatch: { key, value: { $in: values } } });
+  }
+
+  return { $all: conditions };
+};
+
 export default {
-  CATEGORY_MAP,
+  DEFAULT_CATEGORY_MAP,
+  DEFAULT_CATEGORY_ATTRIBUTES,
+  getTaxonomy,
+  clearCategoryCache,
   isMainCategory,
   getSubcategoriesForMainCategory,
   getMainCategoryForSubcategory,
@@ -76,4 +329,9 @@ export default {
   getAllMainCategories,
   isValidSubcategory,
   getCategoryFilterQuery,
-};
\ No newline at end of file
+  getCategoryAttributes,
+  getAllAttributeDefinitions,
+  getAttributeDefinitions,
+  validateProductAttributes,
+  getAttributeFilterQuery,
+};
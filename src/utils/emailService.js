@@ -25,7 +25,7 @@ export const verifyEmailConnection = async () => {
 };
 
 // send email helper function
-export const sendEmail = async ({ to, subject, text, html }) => {
+export const sendEmail = async ({ to, subject, text, html, attachments }) => {
   try {
     const info = await transporter.sendMail({
       from: config.email.from,
@@ -33,6 +33,7 @@ export const sendEmail = async ({ to, subject, text, html }) => {
       subject,
       text,
       html,
+      attachments,
     });
 
     console.log('Email sent:', info.messageId);
@@ -78,9 +79,11 @@ export const sendReportedUserNotification = async (userEmail, reportType) => {
 };
 
 // send order status update notification
-export const sendOrderStatusEmail = async (buyerEmail, orderNumber, newStatus, buyerName) => {
+export const sendOrderStatusEmail = async (buyerEmail, orderNumber, newStatus, buyerName, tracking = null) => {
   // custom messages based on status
   const statusMessages = {
+    // pending is only announced when a pre-order leaves awaiting_stock
+    pending: 'Your pre-order is now in stock',
     processing: 'Your order is being processed',
     ready: 'Your order is ready for pickup',
     shipped: 'Your order has been shipped',
@@ -90,12 +93,20 @@ export const sendOrderStatusEmail = async (buyerEmail, orderNumber, newStatus, b
 
   const statusMessage = statusMessages[newStatus] || `Status updated to: ${newStatus}`;
 
+  // courier details for shipping orders
+  const trackingHtml = tracking
+    ? `
+    <p><strong>Courier:</strong> ${tracking.courier}</p>
+    <p><strong>Tracking Number:</strong> ${tracking.trackingNumber}</p>
+    ${tracking.trackingUrl ? `<p><a href="${tracking.trackingUrl}">Track your package</a></p>` : ''}`
+    : '';
+
   const subject = `Order #${orderNumber} - ${statusMessage}`;
   const html = `
     <h2>Order Status Update</h2>
     <p>Hello ${buyerName || ''},</p>
     <p><strong>${statusMessage}</strong></p>
-    <p><strong>Order Number:</strong> ${orderNumber}</p>
+    <p><strong>Order Number:</strong> ${orderNumber}</p>${trackingHtml}
     <br>
     <p>Thank you for using AnimoMart!</p>
   `;
@@ -118,6 +129,149 @@ export const sendNewOrderEmail = async (sellerEmail, orderNumber, sellerName) =>
   await sendEmail({ to: sellerEmail, subject, html });
 };
 
+// send item adjustment notice to buyer (needs their acceptance)
+export const sendOrderAdjustmentEmail = async (buyerEmail, orderNumber, buyerName, adjustment, newTotal) => {
+  const changesHtml = adjustment.changes
+    .map(change => change.newQuantity === 0
+      ? `<li>${change.productName}: removed</li>`
+      : `<li>${change.productName}: ${change.previousQuantity} → ${change.newQuantity}</li>`)
+    .join('');
+
+  const subject = `Order #${orderNumber} - Seller changed your order`;
+  const html = `
+    <h2>Order Changes Need Your Approval</h2>
+    <p>Hello ${buyerName || ''},</p>
+    <p>The seller made changes to order <strong>#${orderNumber}</strong>:</p>
+    <ul>${changesHtml}</ul>
+    <p><strong>Reason:</strong> ${adjustment.reason}</p>
+    <p><strong>New Total:</strong> ₱${newTotal.toFixed(2)} (was ₱${adjustment.previousTotal.toFixed(2)})</p>
+    <br>
+    <p>Please accept or reject the changes in your AnimoMart dashboard. Rejecting cancels the order.</p>
+  `;
+
+  await sendEmail({ to: buyerEmail, subject, html });
+};
+
+// send order receipt to buyer (html body with the pdf attached)
+export const sendOrderReceiptEmail = async (buyerEmail, orderNumber, receiptHtml, receiptPdf) => {
+  const subject = `Order #${orderNumber} - Your receipt`;
+
+  await sendEmail({
+    to: buyerEmail,
+    subject,
+    html: receiptHtml,
+    attachments: [
+      {
+        filename: `receipt-${orderNumber}.pdf`,
+        content: receiptPdf,
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+};
+
+// send pending order expiry notification (buyer and seller)
+export const sendOrderExpiredEmail = async (recipientEmail, orderNumber, recipientName, timeoutHours) => {
+  const subject = `Order #${orderNumber} - Cancelled (not confirmed in time)`;
+  const html = `
+    <h2>Order Expired</h2>
+    <p>Hello ${recipientName || ''},</p>
+    <p>Order <strong>#${orderNumber}</strong> was automatically cancelled because the seller did not confirm it within ${timeoutHours} hours.</p>
+    <p>Any reserved stock has been released.</p>
+    <br>
+    <p>Best regards,<br>AnimoMart Team</p>
+  `;
+
+  await sendEmail({ to: recipientEmail, subject, html });
+};
+
+// send return request status update (buyer or seller)
+export const sendReturnStatusEmail = async (recipientEmail, orderNumber, returnStatus, recipientName) => {
+  const statusMessages = {
+    requested: 'A return has been requested',
+    approved: 'Your return request has been approved',
+    rejected: 'Your return request has been rejected',
+    returned: 'The returned item has been received',
+    refunded: 'Your refund has been issued',
+  };
+
+  const statusMessage = statusMessages[returnStatus] || `Return status updated to: ${returnStatus}`;
+
+  const subject = `Order #${orderNumber} - ${statusMessage}`;
+  const html = `
+    <h2>Return Update</h2>
+    <p>Hello ${recipientName || ''},</p>
+    <p><strong>${statusMessage}</strong></p>
+    <p><strong>Order Number:</strong> ${orderNumber}</p>
+    <br>
+    <p>View the details in your AnimoMart dashboard.</p>
+  `;
+
+  await sendEmail({ to: recipientEmail, subject, html });
+};
+
+// send dispute notification (opened or resolved) to buyer or seller
+export const sendDisputeEmail = async (recipientEmail, orderNumber, recipientName, message) => {
+  const subject = `Order #${orderNumber} - Dispute update`;
+  const html = `
+    <h2>Order Dispute Update</h2>
+    <p>Hello ${recipientName || ''},</p>
+    <p>${message}</p>
+    <p><strong>Order Number:</strong> ${orderNumber}</p>
+    <br>
+    <p>View the details in your AnimoMart dashboard.</p>
+  `;
+
+  await sendEmail({ to: recipientEmail, subject, html });
+};
+
+// send meetup scheduling update (proposal, acceptance or reschedule)
+export const sendMeetupUpdateEmail = async (recipientEmail, orderNumber, recipientName, message) => {
+  const subject = `Order #${orderNumber} - Meetup update`;
+  const html = `
+    <h2>Meetup Update</h2>
+    <p>Hello ${recipientName || ''},</p>
+    <p>${message}</p>
+    <p><strong>Order Number:</strong> ${orderNumber}</p>
+    <br>
+    <p>View the details in your AnimoMart dashboard.</p>
+  `;
+
+  await sendEmail({ to: recipientEmail, subject, html });
+};
+
+// send reminder before an accepted meetup
+export const sendMeetupReminderEmail = async (recipientEmail, orderNumber, recipientName, locationName, startTime) => {
+  const subject = `Order #${orderNumber} - Meetup reminder`;
+  const html = `
+    <h2>Upcoming Meetup</h2>
+    <p>Hello ${recipientName || ''},</p>
+    <p>This is a reminder of your meetup for order <strong>#${orderNumber}</strong>.</p>
+    <p><strong>Location:</strong> ${locationName}</p>
+    <p><strong>Time:</strong> ${new Date(startTime).toLocaleString('en-PH', { timeZone: 'Asia/Manila' })}</p>
+    <br>
+    <p>Best regards,<br>AnimoMart Team</p>
+  `;
+
+  await sendEmail({ to: recipientEmail, subject, html });
+};
+
+// send reminder before a listing expires
+export const sendListingExpiryReminderEmail = async (sellerEmail, sellerName, productName, expiresAt) => {
+  const subject = `Your listing "${productName}" expires soon`;
+  const html = `
+    <h2>Listing Expiring Soon</h2>
+    <p>Hello ${sellerName || ''},</p>
+    <p>Your listing "<strong>${productName}</strong>" will expire on
+      <strong>${new Date(expiresAt).toLocaleString('en-PH', { timeZone: 'Asia/Manila' })}</strong>.</p>
+    <p>Once it expires, buyers will no longer see it. Renew it from your listings to keep it on sale.</p>
+    <br>
+    <p>Best regards,<br>AnimoMart Team</p>
+  `;
+
+  await sendEmail({ to: sellerEmail, subject, html });
+};
+
 // send review notification to seller
 export const sendReviewNotification = async (sellerEmail, review, productTitle) => {
   const subject = `New Review for "${productTitle}"`;
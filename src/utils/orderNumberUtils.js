@@ -0,0 +1,73 @@
+// order number formatting and validation
+// format: ORD-YYYYMMDD-NNNNN-C
+//   NNNNN - per-day sequence (zero padded, grows past 5 digits if needed)
+//   C     - luhn check digit over the date and sequence digits
+
+export const ORDER_NUMBER_PATTERN = /^ORD-(\d{8})-(\d{5,})-(\d)$/;
+
+// numbers issued before sequential numbering (random, no check digit)
+export const LEGACY_ORDER_NUMBER_PATTERN = /^ORD-\d{8}-\d{5}$/;
+
+// luhn check digit for a string of digits
+// param {string} digits - digits to protect
+// returns {string} single check digit
+
+export const computeCheckDigit = (digits) => {
+  let sum = 0;
+
+  // walk right to left, doubling every other digit starting with the rightmost
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = Number(digits[i]);
+
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+};
+
+// get the counter key date for an order number (UTC, YYYYMMDD)
+// param {Date} date - order date
+// returns {string} date string
+
+export const getOrderDateKey = (date = new Date()) => {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+// build an order number from a date key and sequence
+// param {string} dateKey - YYYYMMDD
+// param {number} sequence - per-day sequence number
+// returns {string} order number
+
+export const formatOrderNumber = (dateKey, sequence) => {
+  const sequenceStr = String(sequence).padStart(5, '0');
+  return `ORD-${dateKey}-${sequenceStr}-${computeCheckDigit(`${dateKey}${sequenceStr}`)}`;
+};
+
+// check an order number's format and check digit
+// legacy random numbers have no check digit and only their format is checked
+// param {string} orderNumber - order number to check
+// returns {boolean} whether the number is well formed
+
+export const isValidOrderNumber = (orderNumber) => {
+  if (typeof orderNumber !== 'string') {
+    return false;
+  }
+
+  if (LEGACY_ORDER_NUMBER_PATTERN.test(orderNumber)) {
+    return true;
+  }
+
+  const match = orderNumber.match(ORDER_NUMBER_PATTERN);
+
+  if (!match) {
+    return false;
+  }
+
+  const [, dateKey, sequence, checkDigit] = match;
+  return computeCheckDigit(`${dateKey}${sequence}`) === checkDigit;
+};
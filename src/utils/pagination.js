@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+import AppError from './AppError.js';
+
+// list pagination
+// lists accept either ?page=N (counts the total, kept for older clients) or
+// ?cursor=<token> (no count, stable while new items arrive). a cursor names
+// the sort value and _id of the last item seen; send an empty cursor to get
+// the first page in cursor mode
+
+// clamp a requested page size to the configured maximum
+export const getPageSize = (limit, defaultSize = config.pagination.defaultPageSize) => {
+  const size = parseInt(limit) || defaultSize;
+  return Math.min(Math.max(size, 1), config.pagination.maxPageSize);
+};
+
+// read a (possibly nested) field from a document or plain object
+const getFieldValue = (doc, field) => {
+  if (typeof doc.get === 'function') {
+    return doc.get(field);
+  }
+
+  return field.split('.').reduce((value, key) => value?.[key], doc);
+};
+
+// encode the position of a document in a sorted list
+export const encodeCursor = (doc, sortField) => {
+  const value = getFieldValue(doc, sortField);
+
+  const payload = {
+    f: sortField,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// decode a cursor produced by encodeCursor for the same sort field
+export const decodeCursor = (cursor, sortField) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  if (payload?.f !== sortField || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new AppError('Invalid pagination cursor', 400);
+  }
+
+  return {
+    value: payload.d ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id),
+  };
+};
+
+
+// resolve paging options from request values
+// param {Object} options - { cursor, page, limit, sortBy, sortOrder, defaultLimit }
+// returns {Object} paging options for applyCursor and paginateResults
+
+export const getPaginationOptions = (options = {}) => {
+  const {
+    cursor,
+    page,
+    limit,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    defaultLimit,
+  } = options;
+
+  const pageSize = getPageSize(limit, defaultLimit);
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const isCursorMode = cursor !== undefined && cursor !== null;
+  const currentPage = isCursorMode ? null : Math.max(parseInt(page) || 1, 1);
+
+  return {
+    cursor: isCursorMode && cursor ? decodeCursor(cursor, sortBy) : null,
+    page: currentPage,
+    limit: pageSize,
+    skip: isCursorMode ? 0 : (currentPage - 1) * pageSize,
+    sortField: sortBy,
+    direction,
+    // _id breaks ties so every item has a single position
+    sort: { [sortBy]: direction, _id: direction },
+  };
+};
+
+
+// restrict a filter to the items after the cursor
+// param {Object} query - list filter
+// param {Object} paging - from getPaginationOptions
+// returns {Object} filter
+
+export const applyCursor = (query, paging) => {
+  if (!paging.cursor) {
+    return query;
+  }
+
+  const operator = paging.direction === 1 ? '$gt' : '$lt';
+  const { value, id } = paging.cursor;
+
+  return {
+    $and: [
+      query,
+      {
+        $or: [
+          { [paging.sortField]: { [operator]: value } },
+          { [paging.sortField]: value, _id: { [operator]: id } },
+        ],
+      },
+    ],
+  };
+};
+
+
+// turn a fetched page into items and a pagination block
+// lists fetch one item more than the page size so hasMore needs no count;
+// page mode still counts the total for older clients
+// param {Array} docs - up to paging.limit + 1 documents
+// param {Object} paging - from getPaginationOptions
+// param {Object} totals - { countTotal: () => Promise<number>, totalKey }
+// returns {Object} { items, pagination }
+
+export const paginateResults = async (docs, paging, totals = {}) => {
+  const { countTotal, totalKey = 'total' } = totals;
+
+  const hasMore = docs.length > paging.limit;
+  const items = hasMore ? docs.slice(0, paging.limit) : docs;
+  const lastItem = items[items.length - 1];
+
+  const pagination = {
+    limit: paging.limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(lastItem, paging.sortField) : null,
+  };
+
+  if (paging.page !== null && countTotal) {
+    const total = await countTotal();
+    pagination.currentPage = paging.page;
+    pagination.totalPages = Math.ceil(total / paging.limit);
+    pagination[totalKey] = total;
+  }
+
+  return { items, pagination };
+};
+
+export default {
+  getPageSize,
+  encodeCursor,
+  decodeCursor,
+  getPaginationOptions,
+  applyCursor,
+  paginateResults,
+};
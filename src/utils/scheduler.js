@@ -1,5 +1,11 @@
 import cron from 'node-cron';
-import { autoConfirmOrders } from '../services/order.service.js';
+import { autoConfirmOrders, expirePendingOrders } from '../services/order.service.js';
+import { sendMeetupReminders } from '../services/meetup.service.js';
+import {
+  publishScheduledListings,
+  expireListings,
+  sendListingExpiryReminders,
+} from '../services/product.service.js';
 
 export const startOrderAutoConfirmJob = () => {
   cron.schedule('0 2 * * *', async () => {
@@ -15,6 +21,57 @@ export const startOrderAutoConfirmJob = () => {
   console.log('order auto-confirm scheduler started (runs daily at 2 AM)');
 };
 
+export const startPendingOrderExpiryJob = () => {
+  cron.schedule('0 * * * *', async () => {
+    try {
+      console.log('running pending order expiry job...');
+      const expiredCount = await expirePendingOrders();
+      console.log(`expired ${expiredCount} pending orders`);
+    } catch (error) {
+      console.error('error in pending order expiry job:', error);
+    }
+  });
+
+  console.log('pending order expiry scheduler started (runs hourly)');
+};
+
+export const startMeetupReminderJob = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      console.log('running meetup reminder job...');
+      const remindedCount = await sendMeetupReminders();
+      console.log(`sent reminders for ${remindedCount} meetups`);
+    } catch (error) {
+      console.error('error in meetup reminder job:', error);
+    }
+  });
+
+  console.log('meetup reminder scheduler started (runs every 15 minutes)');
+};
+
+export const startListingScheduleJob = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const publishedCount = await publishScheduledListings();
+      const expiredCount = await expireListings();
+      const remindedCount = await sendListingExpiryReminders();
+
+      if (publishedCount || expiredCount || remindedCount) {
+        console.log(
+          `listing schedule: published ${publishedCount}, expired ${expiredCount}, reminded ${remindedCount}`
+        );
+      }
+    } catch (error) {
+      console.error('error in listing schedule job:', error);
+    }
+  });
+
+  console.log('listing schedule scheduler started (runs every minute)');
+};
+
 export default {
   startOrderAutoConfirmJob,
+  startPendingOrderExpiryJob,
+  startMeetupReminderJob,
+  startListingScheduleJob,
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// shipping fee calculation from product fees and seller shipping rules
+
+export const SHIPPING_RULE_TYPES = ['per_product', 'flat', 'combined'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// calculate the shipping fee for one seller's items
+// per_product: each product line is charged its own shippingFee once
+// flat: one flatFee for the whole order
+// combined: the highest product shippingFee, plus additionalItemFee per extra unit
+// freeShippingThreshold (if set) waives the fee when the subtotal reaches it
+// param {Array} items - [{ product, productName, price, quantity, shippingFee }]
+// param {Object} shippingRules - seller's sellerInfo.shippingRules
+// returns {Object} { shippingFee, feeLines }
+
+export const calculateShippingFee = (items, shippingRules = {}) => {
+  const {
+    type = 'per_product',
+    flatFee = 0,
+    additionalItemFee = 0,
+    freeShippingThreshold = 0,
+  } = shippingRules || {};
+
+  if (!items || items.length === 0) {
+    return { shippingFee: 0, feeLines: [] };
+  }
+
+  const feeLines = [];
+
+  if (type === 'flat') {
+    feeLines.push({ label: 'Flat shipping fee', amount: flatFee });
+  } else if (type === 'combined') {
+    const baseItem = items.reduce(
+      (max, item) => ((item.shippingFee || 0) > (max.shippingFee || 0) ? item : max),
+      items[0]
+    );
+    const extraUnits = items.reduce((sum, item) => sum + item.quantity, 0) - 1;
+
+    feeLines.push({
+      label: `Shipping for "${baseItem.productName}"`,
+      amount: baseItem.shippingFee || 0,
+      product: baseItem.product,
+    });
+
+    if (extraUnits > 0 && additionalItemFee > 0) {
+      feeLines.push({
+        label: `Combined shipping for ${extraUnits} additional item(s)`,
+        amount: roundAmount(extraUnits * additionalItemFee),
+      });
+    }
+  } else {
+    items.forEach(item => {
+      feeLines.push({
+        label: `Shipping for "${item.productName}"`,
+        amount: item.shippingFee || 0,
+        product: item.product,
+      });
+    });
+  }
+
+  let shippingFee = roundAmount(feeLines.reduce((sum, line) => sum + line.amount, 0));
+
+  // free shipping over threshold
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (freeShippingThreshold > 0 && subtotal >= freeShippingThreshold && shippingFee > 0) {
+    feeLines.push({
+      label: `Free shipping on orders of ${freeShippingThreshold} or more`,
+      amount: -shippingFee,
+    });
+    shippingFee = 0;
+  }
+
+  return { shippingFee, feeLines };
+};
+
+export default {
+  SHIPPING_RULE_TYPES,
+  calculateShippingFee,
+};
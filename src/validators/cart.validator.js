@@ -1,4 +1,4 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validate.js';
 
 // validate add to cart
@@ -15,6 +15,11 @@ export const addToCartValidator = [
     .isInt({ min: 1, max: 99 })
     .withMessage('Quantity must be between 1 and 99'),
 
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
   validate,
 ];
 
@@ -30,6 +35,11 @@ export const updateCartItemValidator = [
     .isInt({ min: 1, max: 99 })
     .withMessage('Quantity must be between 1 and 99'),
 
+  body('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
   validate,
 ];
 
@@ -39,6 +49,11 @@ export const productIdParamValidator = [
     .isMongoId()
     .withMessage('Invalid product ID'),
 
+  query('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
   validate,
 ];
 
@@ -62,6 +77,11 @@ export const validateStockValidator = [
     .isInt({ min: 1, max: 999 })
     .withMessage('Quantity must be between 1 and 999'),
 
+  body('items.*.variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID format'),
+
   validate,
 ];
 
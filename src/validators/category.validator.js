@@ -0,0 +1,150 @@
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validate.js';
+import { ATTRIBUTE_TYPES } from '../models/Category.model.js';
+
+// shared checks for a category's attribute schema
+const attributeSchemaValidators = [
+  body('attributes')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Attributes must be an array of at most 20 definitions'),
+
+  body('attributes.*.key')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9]*$/)
+    .withMessage('Attribute key must be alphanumeric and start with a letter'),
+
+  body('attributes.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Attribute label is required')
+    .isLength({ max: 50 })
+    .withMessage('Attribute label must not exceed 50 characters'),
+
+  body('attributes.*.type')
+    .optional()
+    .isIn(ATTRIBUTE_TYPES)
+    .withMessage(`Attribute type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`),
+
+  body('attributes.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Attribute options must be an array'),
+
+  body('attributes.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Attribute required flag must be a boolean'),
+
+  body('attributes.*.filterable')
+    .optional()
+    .isBoolean()
+    .withMessage('Attribute filterable flag must be a boolean'),
+];
+
+// validate category id param
+export const categoryIdValidator = [
+  param('categoryId')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+
+  validate,
+];
+
+// validate category creation (admin only)
+export const createCategoryValidator = [
+  body('name')
+    .notEmpty()
+    .withMessage('Category name is required')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category name must not exceed 50 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent category ID'),
+
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Icon must not exceed 200 characters'),
+
+  body('displayOrder')
+    .optional()
+    .isInt()
+    .withMessage('Display order must be a whole number')
+    .toInt(),
+
+  ...attributeSchemaValidators,
+
+  validate,
+];
+
+// validate category update (admin only)
+export const updateCategoryValidator = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Category name cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Category name must not exceed 50 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent category ID'),
+
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Icon must not exceed 200 characters'),
+
+  body('displayOrder')
+    .optional()
+    .isInt()
+    .withMessage('Display order must be a whole number')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  ...attributeSchemaValidators,
+
+  validate,
+];
+
+// validate category merge (admin only)
+export const mergeCategoryValidator = [
+  body('targetId')
+    .notEmpty()
+    .withMessage('Target category is required')
+    .isMongoId()
+    .withMessage('Invalid target category ID'),
+
+  validate,
+];
+
+export default {
+  categoryIdValidator,
+  createCategoryValidator,
+  updateCategoryValidator,
+  mergeCategoryValidator,
+};
@@ -0,0 +1,82 @@
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validate.js';
+
+// validate dispute creation
+export const openDisputeValidator = [
+  body('orderId')
+    .notEmpty()
+    .withMessage('Order ID is required')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn([
+      'item_not_received',
+      'item_not_handed_over',
+      'wrong_item',
+      'not_as_described',
+      'payment_not_received',
+      'other',
+    ])
+    .withMessage('Invalid reason'),
+
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required')
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Description must be between 20 and 1000 characters'),
+
+  body('evidence')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Maximum 5 evidence files allowed'),
+
+  body('evidence.*')
+    .optional()
+    .isURL()
+    .withMessage('Invalid evidence URL'),
+
+  validate,
+];
+
+// validate dispute id param
+export const disputeIdValidator = [
+  param('disputeId')
+    .isMongoId()
+    .withMessage('Invalid dispute ID'),
+
+  validate,
+];
+
+// validate dispute resolution
+export const resolveDisputeValidator = [
+  body('ruling')
+    .notEmpty()
+    .withMessage('Ruling is required')
+    .isIn(['buyer', 'seller'])
+    .withMessage('Ruling must be buyer or seller'),
+
+  body('resolution')
+    .notEmpty()
+    .withMessage('Resolution is required')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Resolution must be between 10 and 1000 characters'),
+
+  body('balanceReceived')
+    .optional()
+    .isBoolean()
+    .withMessage('balanceReceived must be a boolean')
+    .toBoolean(),
+
+  validate,
+];
+
+export default {
+  openDisputeValidator,
+  disputeIdValidator,
+  resolveDisputeValidator,
+};
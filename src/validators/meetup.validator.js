@@ -0,0 +1,164 @@
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validate.js';
+
+// validate order id param
+export const orderIdValidator = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  validate,
+];
+
+// validate meetup location id param
+export const locationIdValidator = [
+  param('locationId')
+    .isMongoId()
+    .withMessage('Invalid meetup location ID'),
+
+  validate,
+];
+
+// validate meetup slot proposal
+export const proposeMeetupSlotsValidator = [
+  body('locationId')
+    .notEmpty()
+    .withMessage('Meetup location is required')
+    .isMongoId()
+    .withMessage('Invalid meetup location ID'),
+
+  body('slots')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Propose between 1 and 5 meetup slots'),
+
+  body('slots.*.startTime')
+    .isISO8601()
+    .withMessage('Slot start time must be a valid date'),
+
+  body('slots.*.endTime')
+    .isISO8601()
+    .withMessage('Slot end time must be a valid date'),
+
+  validate,
+];
+
+// validate meetup slot acceptance
+export const acceptMeetupSlotValidator = [
+  body('slotId')
+    .notEmpty()
+    .withMessage('Slot ID is required')
+    .isMongoId()
+    .withMessage('Invalid slot ID'),
+
+  validate,
+];
+
+// validate meetup reschedule
+export const rescheduleMeetupValidator = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  body('locationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid meetup location ID'),
+
+  body('slots')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('No more than 5 meetup slots can be proposed'),
+
+  body('slots.*.startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Slot start time must be a valid date'),
+
+  body('slots.*.endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Slot end time must be a valid date'),
+
+  validate,
+];
+
+// validate handover code check (6-digit code or scanned QR payload)
+export const verifyHandoverCodeValidator = [
+  body('code')
+    .notEmpty()
+    .withMessage('Handover code is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Invalid handover code'),
+
+  validate,
+];
+
+// validate meetup location creation (admin only)
+export const createMeetupLocationValidator = [
+  body('name')
+    .notEmpty()
+    .withMessage('Location name is required')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location name must not exceed 100 characters'),
+
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Building must not exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  validate,
+];
+
+// validate meetup location update (admin only)
+export const updateMeetupLocationValidator = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Location name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Location name must not exceed 100 characters'),
+
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Building must not exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+
+  validate,
+];
+
+export default {
+  orderIdValidator,
+  locationIdValidator,
+  proposeMeetupSlotsValidator,
+  acceptMeetupSlotValidator,
+  rescheduleMeetupValidator,
+  verifyHandoverCodeValidator,
+  createMeetupLocationValidator,
+  updateMeetupLocationValidator,
+};
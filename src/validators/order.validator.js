@@ -1,5 +1,6 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validate.js';
+import { isValidOrderNumber } from '../utils/orderNumberUtils.js';
 
 // validate order creation
 export const createOrderValidator = [
@@ -68,6 +69,64 @@ export const createOrderValidator = [
   validate,
 ];
 
+// validate multi-seller checkout
+export const checkoutValidator = [
+  body('paymentMethod')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(['cash_on_meetup', 'cash_on_delivery', 'gcash', 'maya'])
+    .withMessage('Invalid payment method'),
+
+  body('sellers')
+    .isArray({ min: 1 })
+    .withMessage('Sellers must be a non-empty array'),
+
+  body('sellers.*.sellerId')
+    .notEmpty()
+    .withMessage('Seller ID is required for each seller')
+    .isMongoId()
+    .withMessage('Invalid seller ID'),
+
+  body('sellers.*.deliveryMethod')
+    .notEmpty()
+    .withMessage('Delivery method is required for each seller')
+    .isIn(['meetup', 'shipping'])
+    .withMessage('Invalid delivery method'),
+
+  body('sellers.*.meetupLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Meetup location must not exceed 200 characters'),
+
+  body('sellers.*.deliveryAddress')
+    .optional()
+    .isObject()
+    .withMessage('Delivery address must be an object'),
+
+  validate,
+];
+
+// validate checkout id param
+export const checkoutIdValidator = [
+  param('checkoutId')
+    .matches(/^CHK-\d{8}-[0-9A-F]{8}$/)
+    .withMessage('Invalid checkout ID'),
+
+  validate,
+];
+
+// validate order number param (format and check digit)
+export const orderNumberValidator = [
+  param('orderNumber')
+    .trim()
+    .toUpperCase()
+    .custom(isValidOrderNumber)
+    .withMessage('Invalid order number. Please check it for typos'),
+
+  validate,
+];
+
 // validate order id param
 export const orderIdValidator = [
   param('orderId')
@@ -91,6 +150,153 @@ export const updateOrderStatusValidator = [
     .isLength({ max: 500 })
     .withMessage('Note must not exceed 500 characters'),
 
+  body('courier')
+    .if(body('status').equals('shipped'))
+    .notEmpty()
+    .withMessage('Courier is required when shipping an order')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Courier must not exceed 100 characters'),
+
+  body('trackingNumber')
+    .if(body('status').equals('shipped'))
+    .notEmpty()
+    .withMessage('Tracking number is required when shipping an order')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Tracking number must not exceed 100 characters'),
+
+  validate,
+];
+
+// validate tracking update
+export const trackingUpdateValidator = [
+  body('status')
+    .notEmpty()
+    .withMessage('Tracking status is required')
+    .isIn([
+      'picked_up',
+      'in_transit',
+      'out_for_delivery',
+      'delivered',
+      'failed_attempt',
+      'returned_to_sender',
+      'other',
+    ])
+    .withMessage('Invalid tracking status'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description must not exceed 300 characters'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location must not exceed 200 characters'),
+
+  body('occurredAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Occurred at must be a valid date'),
+
+  validate,
+];
+
+// validate seller item adjustment
+export const adjustOrderItemsValidator = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item change is required'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be 0 (remove) or more')
+    .toInt(),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  validate,
+];
+
+// validate buyer response to item adjustment
+export const respondToItemAdjustmentValidator = [
+  body('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['accept', 'reject'])
+    .withMessage('Decision must be accept or reject'),
+
+  validate,
+];
+
+// validate receipt format
+export const receiptValidator = [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'html'])
+    .withMessage('Format must be pdf or html'),
+
+  validate,
+];
+
+// validate sales export query
+export const salesExportValidator = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .custom((to, { req }) => !req.query.from || new Date(req.query.from) <= new Date(to))
+    .withMessage('To must not be before from'),
+
+  validate,
+];
+
+// validate seller analytics query
+export const sellerAnalyticsValidator = [
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Interval must be day, week or month'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .custom((to, { req }) => !req.query.from || new Date(req.query.from) <= new Date(to))
+    .withMessage('To must not be before from'),
+
   validate,
 ];
 
@@ -108,7 +314,16 @@ export const cancelOrderValidator = [
 
 export default {
   createOrderValidator,
+  checkoutValidator,
+  checkoutIdValidator,
+  orderNumberValidator,
   orderIdValidator,
   updateOrderStatusValidator,
+  trackingUpdateValidator,
+  adjustOrderItemsValidator,
+  respondToItemAdjustmentValidator,
+  receiptValidator,
+  salesExportValidator,
+  sellerAnalyticsValidator,
   cancelOrderValidator,
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validate.js';
+
+// validate order id param
+export const orderIdValidator = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  validate,
+];
+
+// validate webhook gateway param
+export const webhookValidator = [
+  param('gateway')
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('Invalid gateway'),
+
+  validate,
+];
+
+// validate mock payment completion
+export const completeMockPaymentValidator = [
+  param('gatewayReference')
+    .matches(/^MOCK-/)
+    .withMessage('Invalid mock payment reference'),
+
+  body('outcome')
+    .optional()
+    .isIn(['paid', 'failed', 'expired'])
+    .withMessage('Outcome must be paid, failed or expired'),
+
+  validate,
+];
+
+// validate payment proof submission
+export const submitPaymentProofValidator = [
+  body('referenceNumber')
+    .notEmpty()
+    .withMessage('Reference number is required')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference number must not exceed 50 characters'),
+
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+
+  validate,
+];
+
+// validate payment proof review
+export const reviewPaymentProofValidator = [
+  body('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['confirm', 'reject'])
+    .withMessage('Decision must be confirm or reject'),
+
+  body('reason')
+    .if(body('decision').equals('reject'))
+    .notEmpty()
+    .withMessage('Reason is required when rejecting')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  validate,
+];
+
+// validate payment proof dispute
+export const disputePaymentProofValidator = [
+  body('reason')
+    .notEmpty()
+    .withMessage('Dispute reason is required')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters'),
+
+  validate,
+];
+
+export default {
+  orderIdValidator,
+  webhookValidator,
+  completeMockPaymentValidator,
+  submitPaymentProofValidator,
+  reviewPaymentProofValidator,
+  disputePaymentProofValidator,
+};
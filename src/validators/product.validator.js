@@ -1,6 +1,6 @@
 import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validate.js';
-import { getAllValidSubcategories } from '../utils/categoryUtils.js';
+import { getAllValidSubcategories, validateProductAttributes } from '../utils/categoryUtils.js';
 
 // validate product creation
 export const createProductValidator = [
@@ -27,14 +27,26 @@ export const createProductValidator = [
   body('category')
     .notEmpty()
     .withMessage('Category is required')
-    .custom((value) => {
-      const validSubcategories = getAllValidSubcategories();
+    .custom(async (value) => {
+      const validSubcategories = await getAllValidSubcategories();
       if (!validSubcategories.includes(value)) {
         throw new Error('Invalid category. Must be a valid subcategory (e.g., "Laptops", "Notebooks", not main categories like "Electronics")');
       }
       return true;
     }),
 
+  body('attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object')
+    .custom(async (value, { req }) => {
+      const { errors } = await validateProductAttributes(req.body.category, value);
+      if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+      }
+      return true;
+    }),
+
   body('condition')
     .notEmpty()
     .withMessage('Condition is required')
@@ -96,6 +108,88 @@ export const createProductValidator = [
     .isFloat({ min: 0 })
     .withMessage('Shipping fee must be a positive number'),
 
+  body('options')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('A product can have at most 3 option types'),
+
+  body('options.*.name')
+    .notEmpty()
+    .withMessage('Option name is required')
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Option name must not exceed 30 characters'),
+
+  body('options.*.values')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Each option must have between 1 and 20 values'),
+
+  body('variants')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('A product can have at most 100 variants'),
+
+  body('variants.*.sku')
+    .notEmpty()
+    .withMessage('Variant SKU is required')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Variant SKU must not exceed 50 characters'),
+
+  body('variants.*.options')
+    .isObject()
+    .withMessage('Variant options must be an object'),
+
+  body('variants.*.price')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Variant price must be at least 1'),
+
+  body('variants.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer'),
+
+  body('variants.*.image')
+    .optional()
+    .matches(/^https?:\/\/.+/i)
+    .withMessage('Invalid variant image URL'),
+
+  body('preOrder.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Pre-order enabled must be a boolean'),
+
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date'),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future')
+    .custom((value, { req }) => !req.body.publishAt || new Date(value) > new Date(req.body.publishAt))
+    .withMessage('Expiry date must be after the publish date'),
+
+  body('preOrder.expectedAvailableAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected availability must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expected availability must be in the future'),
+
+  body('preOrder.maxQuantity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Pre-order limit must be a positive integer'),
+
+  body('preOrder.depositPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deposit must be between 0 and 100 percent'),
+
   validate,
 ];
 
@@ -120,14 +214,20 @@ export const updateProductValidator = [
 
   body('category')
     .optional()
-    .custom((value) => {
-      const validSubcategories = getAllValidSubcategories();
+    .custom(async (value) => {
+      const validSubcategories = await getAllValidSubcategories();
       if (!validSubcategories.includes(value)) {
         throw new Error('Invalid category. Must be a valid subcategory (e.g., "Laptops", "Notebooks", not main categories like "Electronics")');
       }
       return true;
     }),
 
+  // checked against the category's schema by the product service
+  body('attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object'),
+
   body('condition')
     .optional()
     .customSanitizer(value => {
@@ -187,6 +287,93 @@ export const updateProductValidator = [
     .isFloat({ min: 0 })
     .withMessage('Shipping fee must be a positive number'),
 
+  body('options')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('A product can have at most 3 option types'),
+
+  body('options.*.name')
+    .notEmpty()
+    .withMessage('Option name is required')
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Option name must not exceed 30 characters'),
+
+  body('options.*.values')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Each option must have between 1 and 20 values'),
+
+  body('variants')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('A product can have at most 100 variants'),
+
+  body('variants.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('variants.*.sku')
+    .notEmpty()
+    .withMessage('Variant SKU is required')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Variant SKU must not exceed 50 characters'),
+
+  body('variants.*.options')
+    .isObject()
+    .withMessage('Variant options must be an object'),
+
+  body('variants.*.price')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Variant price must be at least 1'),
+
+  body('variants.*.stock')
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer'),
+
+  body('variants.*.image')
+    .optional()
+    .matches(/^https?:\/\/.+/i)
+    .withMessage('Invalid variant image URL'),
+
+  body('preOrder.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Pre-order enabled must be a boolean'),
+
+  body('publishAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date'),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future')
+    .custom((value, { req }) => !req.body.publishAt || new Date(value) > new Date(req.body.publishAt))
+    .withMessage('Expiry date must be after the publish date'),
+
+  body('preOrder.expectedAvailableAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected availability must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expected availability must be in the future'),
+
+  body('preOrder.maxQuantity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Pre-order limit must be a positive integer'),
+
+  body('preOrder.depositPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Deposit must be between 0 and 100 percent'),
+
   validate,
 ];
 
@@ -210,6 +397,28 @@ export const updateStatusValidator = [
   validate,
 ];
 
+// validate listing renewal
+export const renewProductValidator = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry date must be in the future'),
+
+  validate,
+];
+
+// validate marking a pre-order batch ready
+export const preOrderBatchReadyValidator = [
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Extra stock must be a non-negative integer'),
+
+  validate,
+];
+
 // validate search query
 export const searchValidator = [
   query('q')
@@ -222,10 +431,73 @@ export const searchValidator = [
   validate,
 ];
 
+// validate faceted product listing filters
+export const facetedSearchValidator = [
+  query('condition')
+    .optional()
+    .custom((value) => {
+      const validConditions = ['New', 'Like New', 'Good', 'Fair'];
+      if (!value.split(',').every(condition => validConditions.includes(condition))) {
+        throw new Error('Condition must be a comma-separated list of New, Like New, Good or Fair');
+      }
+      return true;
+    }),
+
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a positive number'),
+
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a positive number'),
+
+  query('shippingAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('shippingAvailable must be a boolean'),
+
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+
+  query('minSellerRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum seller rating must be between 0 and 5'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'price', 'averageRating', 'totalSales', 'views', 'name'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  validate,
+];
+
 export default {
   createProductValidator,
   updateProductValidator,
   productIdValidator,
   updateStatusValidator,
+  renewProductValidator,
+  preOrderBatchReadyValidator,
   searchValidator,
+  facetedSearchValidator,
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validate.js';
+
+// validate return request creation
+export const createReturnRequestValidator = [
+  body('orderId')
+    .notEmpty()
+    .withMessage('Order ID is required')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn(['damaged', 'wrong_item', 'not_as_described', 'missing_parts', 'other'])
+    .withMessage('Invalid reason'),
+
+  body('description')
+    .notEmpty()
+    .withMessage('Description is required')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+
+  body('evidence')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Between 1 and 5 evidence photos are required'),
+
+  body('evidence.*')
+    .isURL()
+    .withMessage('Invalid evidence URL'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.product')
+    .notEmpty()
+    .withMessage('Product is required for each item')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+
+  body('items.*.quantity')
+    .notEmpty()
+    .withMessage('Quantity is required for each item')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  validate,
+];
+
+// validate return request id param
+export const returnIdValidator = [
+  param('returnId')
+    .isMongoId()
+    .withMessage('Invalid return request ID'),
+
+  validate,
+];
+
+// validate return list query
+export const getReturnRequestsValidator = [
+  query('role')
+    .optional()
+    .isIn(['buyer', 'seller'])
+    .withMessage('Role must be buyer or seller'),
+
+  query('status')
+    .optional()
+    .isIn(['requested', 'approved', 'rejected', 'returned', 'refunded'])
+    .withMessage('Invalid status'),
+
+  validate,
+];
+
+// validate return review
+export const reviewReturnRequestValidator = [
+  body('decision')
+    .notEmpty()
+    .withMessage('Decision is required')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+
+  validate,
+];
+
+// validate optional seller note
+export const returnNoteValidator = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+
+  validate,
+];
+
+export default {
+  createReturnRequestValidator,
+  returnIdValidator,
+  getReturnRequestsValidator,
+  reviewReturnRequestValidator,
+  returnNoteValidator,
+};
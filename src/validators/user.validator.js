@@ -1,5 +1,6 @@
 import { body, param } from 'express-validator';
 import { validate } from '../middleware/validate.js';
+import { SHIPPING_RULE_TYPES } from '../utils/shippingUtils.js';
 
 // validate profile update
 export const updateProfileValidator = [
@@ -60,6 +61,31 @@ export const updateSellerInfoValidator = [
     .isFloat({ min: 0 })
     .withMessage('Shipping fee must be a positive number'),
 
+  body('shippingRules')
+    .optional()
+    .isObject()
+    .withMessage('Shipping rules must be an object'),
+
+  body('shippingRules.type')
+    .optional()
+    .isIn(SHIPPING_RULE_TYPES)
+    .withMessage(`Shipping rule type must be one of: ${SHIPPING_RULE_TYPES.join(', ')}`),
+
+  body('shippingRules.flatFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Flat shipping fee must be a positive number'),
+
+  body('shippingRules.additionalItemFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Additional item fee must be a positive number'),
+
+  body('shippingRules.freeShippingThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Free shipping threshold must be a positive number'),
+
   validate,
 ];
 